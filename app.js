@@ -4,585 +4,6434 @@
 
 document.addEventListener('DOMContentLoaded', () => {
     // --- State ---
-    let stories = JSON.parse(localStorage.getItem('storyReader_stories')) || [];
+    let stories = []; // Loaded from IndexedDB at init
+    let reviews = {}; // Flashcard schedule by card key
+    let notebook = []; // Words saved from the text
+    let highlights = []; // Passage highlights and notes
     let addingToStoryId = null; // When adding chapter to existing story
+    let editingChapterId = null; // When re-editing an existing chapter
 
     const $ = id => document.getElementById(id);
 
     // --- Persistence ---
     function saveState() {
-        localStorage.setItem('storyReader_stories', JSON.stringify(stories));
+        return persistStories().catch(handleStorageError);
     }
 
-    // ================================================================
-    //  NAVIGATION
-    // ================================================================
-
-    function navigateTo(viewId) {
-        document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
-        $(viewId).classList.add('active');
-        window.scrollTo(0, 0);
+    function saveReviews() {
+        persistValue('storyReader_reviews', reviews).catch(handleStorageError);
+    }
 
-        // Close any open sheets when navigating
-        closeAllSheets();
+    function saveHighlights() {
+        persistValue('storyReader_highlights', highlights).catch(handleStorageError);
+    }
 
-        // Close reader menu
-        $('reader-menu').classList.add('hidden');
+    function saveNotebook() {
+        persistValue('storyReader_notebook', notebook).catch(handleStorageError);
     }
 
     // ================================================================
-    //  THEME TOGGLE
+    //  UI STRINGS (LOCALES)
     // ================================================================
+    // Every user-facing string, keyed by locale. `t(key, params)` fills in
+    // `{name}` placeholders; a value may also be a function of the params
+    // where word order or plurals need it. Missing keys fall back to ja.
+    // index.html carries the ja text as markup and is translated through
+    // its data-i18n / data-i18n-placeholder / data-i18n-aria-label keys.
 
-    function initTheme() {
-        const saved = localStorage.getItem('storyReader_theme') || 'dark';
-        document.documentElement.setAttribute('data-theme', saved);
-        updateThemeBtn(saved);
-    }
+    const LOCALES = {
+        ja: {
+            label: '日本語',
+            dateLocale: 'ja-JP',
+            templateProfile: 'ja',
+            strings: {
+                'common.save': '保存',
+                'common.cancel': 'キャンセル',
+                'common.delete': '削除',
+                'common.edit': '編集',
+                'storage.quota': '保存容量が不足しているため、変更を保存できませんでした。\n\n不要なストーリーを削除するか、設定からバックアップをエクスポートしてください。',
+                'storage.failed': 'データの保存に失敗しました: {error}',
+                'storage.unreadable': '保存データの一部を読み込めなかったため、スキップしました',
+                'storage.blocked': '更新を完了するには、開いている他のタブを閉じてください',
+                'storage.outdated': '別のタブでアプリが更新されました。保存を続けるには再読み込みしてください',
 
-    function toggleTheme() {
-        const current = document.documentElement.getAttribute('data-theme');
-        const next = current === 'dark' ? 'light' : 'dark';
-        document.documentElement.setAttribute('data-theme', next);
-        localStorage.setItem('storyReader_theme', next);
-        updateThemeBtn(next);
-    }
+                'list.searchPlaceholder': '🔍 タイトル・本文・訳・単語を検索',
+                'list.sort': '並び替え',
+                'list.review': '🃏 単語を復習',
+                'list.dueBefore': '今日',
+                'list.dueAfter': '枚',
+                'list.empty': 'まだストーリーがありません',
+                'list.emptySub': '下の＋ボタンから追加しましょう',
+                'list.noMatch': '条件に一致するストーリーがありません',
+                'list.chapters': '{count} チャプター',
+                'list.all': 'すべて',
+                'sort.updated': '更新日',
+                'sort.title': 'タイトル',
+                'sort.created': '作成日',
+                'sort.lastRead': '最後に読んだ日',
+                'sort.chapters': 'チャプター数',
 
-    function updateThemeBtn(theme) {
-        const btn = $('theme-btn');
-        if (btn) btn.textContent = theme === 'dark' ? '🌙' : '☀️';
-    }
+                'search.none': '見つかりませんでした',
+                'search.count': '{count} 件',
+                'search.title': 'タイトル',
+                'search.english': '本文',
+                'search.translation': '訳',
+                'search.vocab': '単語',
 
-    $('theme-btn').addEventListener('click', toggleTheme);
-    $('theme-toggle-settings').addEventListener('click', toggleTheme);
+                'reader.mode': '表示モード',
+                'reader.modeEnglish': '英語のみ',
+                'reader.modeInterleaved': '交互',
+                'reader.modeParallel': '対訳',
+                'reader.display': 'Aa 表示設定',
+                'reader.addChapter': '📝 チャプターを追加',
+                'reader.manageChapters': '📑 チャプターを管理',
+                'reader.highlights': '🖍 ハイライト一覧',
+                'reader.quiz': '🧠 クイズ',
+                'reader.exportAnki': '📤 Anki 単語帳 (.tsv)',
+                'reader.exportMarkdown': '📤 Markdown (.md)',
+                'reader.exportEpub': '📤 EPUB',
+                'reader.deleteStory': '🗑️ ストーリーを削除',
+                'reader.continuePrompt': '✨ 続きを書くプロンプト',
+                'reader.readAloud': '🔊 読み上げ',
+                'tts.unavailable': 'この端末では読み上げを利用できません',
+                'tts.defaultVoice': '標準の音声',
+                'tts.speakWord': '発音を聞く',
+                'tts.play': '再生',
+                'tts.pause': '一時停止',
+                'tts.prevSentence': '前の文',
+                'tts.nextSentence': '次の文',
+                'tts.rate': '速さ',
+                'tts.voice': '音声',
+                'tts.close': '閉じる',
+                'reader.prev': '‹ 前',
+                'reader.next': '次 ›',
+                'reader.tabVocab': '📖 単語',
+                'reader.tabTranslation': '🇯🇵 訳',
+                'reader.vocabTitle': '📖 重要単語ピックアップ',
+                'reader.translationTitle': '🇯🇵 日本語訳',
+                'reader.noVocab': '単語データがありません',
+                'reader.noTranslation': '翻訳データがありません',
+                'reader.alignNotice': '段落数が一致しないため、段落ごとの対応なしで表示しています（英語 {english} / 訳 {translation}）',
+                'reader.notInVocab': '単語リストに見つかりません',
+                'reader.noMeaning': '（意味未入力）',
+                'reader.myWord': 'マイ単語',
+                'reader.confirmDeleteStory': 'このストーリーを削除しますか？',
+                'reader.storyDeleted': 'ストーリーを削除しました',
 
-    // ================================================================
-    //  TEMPLATE PARSER
-    // ================================================================
-    // Format:
-    //   ### 1. Title: [title]
-    //   ### 2. English Short Story
-    //   [English body text — bold **words** are vocabulary]
-    //   ### 3. 重要単語ピックアップ
-    //   * **Word**: meaning
-    //   ### 4. 日本語訳
-    //   [Japanese translation text]
+                'words.add': '＋ マイ単語に追加',
+                'words.title': 'マイ単語',
+                'words.formTitle': '📒 マイ単語',
+                'words.word': '単語',
+                'words.meaning': '意味',
+                'words.meaningPlaceholder': '意味を入力',
+                'words.sentence': '例文',
+                'words.added': 'マイ単語に追加しました',
+                'words.updated': 'マイ単語を更新しました',
+                'words.empty': '保存した単語はまだありません',
+                'words.emptySub': '本文の単語を選択して「マイ単語に追加」',
+                'words.deletedStory': '（削除されたストーリー）',
+                'words.confirmDelete': '「{word}」を削除しますか？',
+                'words.showInStory': '本文で表示',
 
-    function parseTemplate(text) {
-        const lines = text.split('\n');
-        let title = '';
-        let englishBody = '';
-        let vocabItems = [];
-        let translationText = '';
-        let currentSection = null;
+                'highlight.title': '🖍 ハイライト',
+                'highlight.listTitle': '🖍 ハイライト一覧',
+                'highlight.note': 'メモ',
+                'highlight.notePlaceholder': '文法のポイント、授業で話したいことなど',
+                'highlight.selectText': '本文の範囲を選択してください',
+                'highlight.saved': 'ハイライトを保存しました',
+                'highlight.empty': 'ハイライトはまだありません',
+                'highlight.deletedChapter': '削除されたチャプター',
+                'highlight.orphaned': '位置不明',
+                'highlight.yellow': '黄',
+                'highlight.green': '緑',
+                'highlight.blue': '青',
+                'highlight.pink': 'ピンク',
+                'highlight.withYellow': '黄色でハイライト',
+                'highlight.withGreen': '緑でハイライト',
+                'highlight.withBlue': '青でハイライト',
+                'highlight.withPink': 'ピンクでハイライト',
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const trimmed = line.trim();
+                'stats.title': '読書記録',
+                'stats.easy': 'やさしい',
+                'stats.standard': 'ふつう',
+                'stats.fairlyHard': 'やや難しい',
+                'stats.hard': '難しい',
+                'stats.minutes': '{m}分',
+                'stats.hours': p => `${p.h}時間${p.m ? `${p.m}分` : ''}`,
+                'stats.dayTitle': '{date}: {time}・{chapters} チャプター',
+                'stats.glossed': '単語注 {ratio} / 100語',
+                'stats.finished': '読了 {done}/{total}',
+                'stats.words': '語数',
+                'stats.unique': '異なり語',
+                'stats.time': '時間',
+                'stats.streak': '連続日数',
+                'stats.best': '最長記録',
+                'stats.totalTime': '読書時間',
+                'stats.chaptersDone': '読了チャプター',
+                'stats.wordsRead': '読んだ語数',
+                'stats.calendar': '読書カレンダー',
+                'stats.difficulty': 'ストーリー別の難易度',
+                'stats.fleschHint': 'Flesch スコアは高いほど読みやすい目安です（80以上: やさしい）。',
+                'stats.noStories': 'ストーリーがありません',
 
-            // Detect section headers: ### 1. Title, ### 2. English Short Story, etc.
-            // Also support ## headers
-            const headerMatch = trimmed.match(/^#{2,3}\s*(\d+)\.\s*(.+)/i);
-            if (headerMatch) {
-                const sectionNum = parseInt(headerMatch[1]);
-                const sectionContent = headerMatch[2].trim();
-
-                if (sectionNum === 1) {
-                    // Title section
-                    // Extract title from "Title: XXX" or just "Title"
-                    const titleMatch = sectionContent.match(/Title[:\s：]+(.+)/i);
-                    title = titleMatch ? titleMatch[1].trim() : sectionContent;
-                    currentSection = 'title';
-                    continue;
-                } else if (sectionNum === 2) {
-                    currentSection = 'english';
-                    continue;
-                } else if (sectionNum === 3) {
-                    currentSection = 'vocab';
-                    continue;
-                } else if (sectionNum === 4) {
-                    currentSection = 'translation';
-                    continue;
-                }
-            }
+                'review.title': '単語復習',
+                'review.done': '今日の復習は完了です',
+                'review.doneSub': 'また明日続けましょう',
+                'review.again': 'もう一度',
+                'review.hard': '難しい',
+                'review.good': '普通',
+                'review.easy': '簡単',
+                'review.today': '今日',
+                'review.days': '{n}日',
+                'review.months': '{n}ヶ月',
+                'review.years': '{n}年',
+                'review.remaining': '残り {left} / {total}',
+                'review.reveal': '答えを見る',
 
-            // Also detect alternate Japanese translation header
-            if (trimmed.match(/^#{2,3}\s*.*日本語訳/)) {
-                currentSection = 'translation';
-                continue;
-            }
+                'quiz.title': 'クイズ',
+                'quiz.cannotBuild': 'このチャプターからは問題を作れませんでした（単語リストか対訳が必要です）',
+                'quiz.retryBadge': '前回ミス',
+                'quiz.cloze': '空欄に入る語を入力（{meaning}）',
+                'quiz.choice': '意味を選んでください',
+                'quiz.match': '英文の段落に合う訳を選んでください',
+                'quiz.check': '答え合わせ',
+                'quiz.next': '次へ',
+                'quiz.correct': '正解！',
+                'quiz.answerWas': '正解は「{answer}」',
+                'quiz.pairs': '{total} 組中 {right} 組正解',
+                'quiz.previous': '前回: {correct} / {total}',
+                'quiz.missed': '間違えた単語（次回また出題されます）',
+                'quiz.perfect': '全問正解です 🎉',
+                'quiz.retry': 'もう一度',
+                'quiz.backToText': '本文に戻る',
 
-            // Also detect alternate vocab header
-            if (trimmed.match(/^#{2,3}\s*.*重要単語/)) {
-                currentSection = 'vocab';
-                continue;
+                'add.newStory': '新しいストーリー',
+                'add.addChapter': 'チャプターを追加',
+                'add.editChapter': 'チャプター {n} を編集',
+                'add.targetStory': '追加先ストーリー',
+                'add.pickFiles': '📂 ファイルから取り込む (.md / .txt)',
+                'add.paste': 'テンプレートテキストを貼り付け（複数可）',
+                'add.submit': 'パース＆保存',
+                'add.sectionTitle': '1. タイトル',
+                'add.sectionEnglish': '2. 英文',
+                'add.sectionVocab': '3. 単語',
+                'add.sectionTranslation': '4. 訳',
+                'add.format': '形式: {name}',
+                'add.detected': '{count} 件のテンプレートを検出',
+                'add.warnings': '（警告 {count}）',
+                'add.previewVocab': '重要単語 ({count})',
+                'add.previewTranslation': '訳 ({lang})',
+                'add.hintTitle': 'タイトル',
+                'add.hintBody': '(本文)',
+                'add.hintMeaning': '意味',
+                'add.hintTranslation': '(翻訳)',
+                'add.block': 'ブロック {n}',
+                'add.parseFailed': 'テンプレートを解析できませんでした',
+                'add.chapterUpdated': 'チャプターを更新しました',
+                'add.chapterUpdatedOrphans': 'チャプターを更新しました（ハイライト {count} 件の位置が見つかりません）',
+                'add.chapterAdded': 'チャプター {n} を追加しました',
+                'add.storyAdded': 'ストーリーを追加しました！',
+
+                'parse.noTitle': 'セクション1（Title）が見つかりません',
+                'parse.emptyTitle': 'タイトルが空です（{line}行目）',
+                'parse.noEnglish': 'セクション2（English Short Story）が見つかりません',
+                'parse.emptyEnglish': '本文が空です（{line}行目以降）',
+                'parse.noVocab': 'セクション3（重要単語）が見つかりません',
+                'parse.vocabEmpty': '単語が1つも読み取れませんでした',
+                'parse.skippedVocab': '{line}行目: 単語の形式ではないためスキップしました — {text}',
+                'parse.noTranslation': 'セクション4（訳）が見つかりません',
+                'parse.emptyTranslation': '訳が空です（{line}行目以降）',
+                'parse.unmatchedBold': '単語リストにない太字: {words}',
+
+                'import.chapters': '+{count} チャプター',
+                'import.created': '作成したストーリー',
+                'import.appended': '既存のストーリーに追加',
+                'import.failed': '失敗',
+                'import.backToList': '一覧へ戻る',
+                'import.done': '{count} チャプターを取り込みました',
+                'import.pickFiles': '.md / .txt ファイルを選択してください',
+                'import.readError': 'ファイルを読み込めませんでした',
+
+                'chapters.title': 'チャプターを管理',
+                'chapters.storyTitle': 'タイトル',
+                'chapters.collection': 'コレクション（シリーズ）',
+                'chapters.collectionPlaceholder': '例: Mystery Series',
+                'chapters.tags': 'タグ（カンマ区切り）',
+                'chapters.tagsPlaceholder': '例: Level B1, Mystery, 今週の課題',
+                'chapters.heading': 'チャプター',
+                'chapters.confirmDelete': 'チャプター {n} を削除しますか？',
+                'chapters.deleted': 'チャプターを削除しました',
+                'chapters.infoSaved': 'ストーリー情報を保存しました',
+                'chapters.moveUp': '上へ移動',
+                'chapters.moveDown': '下へ移動',
+
+                'settings.title': '設定',
+                'settings.appearance': '外観',
+                'settings.language': '表示言語',
+                'settings.prompts': '続きのプロンプト',
+                'settings.addPreset': '＋ プリセットを追加',
+                'settings.data': 'データ管理',
+                'settings.backup': 'バックアップ',
+                'settings.exportJson': 'エクスポート (.json)',
+                'settings.anki': 'Anki 単語帳',
+                'settings.exportTsv': 'エクスポート (.tsv)',
+                'settings.templates': 'テンプレート',
+                'settings.exportMd': 'エクスポート (.md)',
+                'settings.restore': '復元',
+                'settings.merge': 'マージ',
+                'settings.replace': '置き換え',
+                'settings.onConflict': '競合時',
+                'settings.keepNewer': '新しい方を残す',
+                'settings.keepMine': '現在のデータを残す',
+                'settings.keepTheirs': 'バックアップを優先',
+                'settings.import': 'インポート',
+
+                'prompt.title': '✨ 続きを書くプロンプト',
+                'prompt.preset': 'プリセット',
+                'prompt.level': 'レベル',
+                'prompt.words': '語数',
+                'prompt.copy': 'コピー',
+                'prompt.paste': '回答を貼り付けて追加',
+                'prompt.hint': 'チャットボットに送り、返ってきた回答を貼り付けると次のチャプターとして追加できます。',
+                'prompt.copied': 'プロンプトをコピーしました',
+                'prompt.copyManually': 'コピーできませんでした。選択されたテキストを手動でコピーしてください',
+                'prompt.pasteHint': '回答を下の欄に貼り付けてください',
+                'prompt.answerPlaceholder': 'ここに回答を貼り付け',
+                'prompt.append': 'チャプターとして追加',
+                'prompt.name': '名前',
+                'prompt.instructions': '追加の指示',
+                'prompt.instructionsPlaceholder': '例: 会話を多めに、過去形を練習したい',
+                'prompt.untitled': '無題のプリセット',
+                'prompt.newPreset': '新しいプリセット',
+                'prompt.presetSaved': 'プリセットを保存しました',
+                'prompt.confirmDelete': 'プリセット「{name}」を削除しますか？',
+
+                'display.theme': 'テーマ',
+                'display.font': '書体',
+                'display.reset': '初期設定に戻す',
+                'display.fontSize': '文字サイズ',
+                'display.lineHeight': '行間',
+                'display.paragraphSpacing': '段落の間隔',
+                'display.width': '最大幅',
+                'theme.auto': '端末に合わせる',
+                'theme.dark': 'ダーク',
+                'theme.light': 'ライト',
+                'theme.sepia': 'セピア',
+                'theme.contrast': 'ハイコントラスト',
+                'font.serif': 'セリフ (Lora)',
+                'font.sans': 'サンセリフ (Inter)',
+
+                'backup.unsupported': '未対応のバックアップ形式です (version {version})',
+                'backup.noStories': 'ストーリーが含まれていません',
+                'backup.invalid': '形式が不正です',
+                'backup.noId': 'id がありません',
+                'backup.badId': 'id に使えない文字が含まれています',
+                'backup.noText': '本文がありません',
+                'backup.vocabNotArray': '単語リストが配列ではありません',
+                'backup.badVocab': '単語の形式が不正です',
+                'backup.badTranslation': '翻訳の形式が不正です',
+                'backup.storyLabel': 'ストーリー {n}',
+                'backup.noTitle': 'タイトルがありません',
+                'backup.chaptersNotArray': 'チャプターが配列ではありません',
+                'backup.noValidChapters': '有効なチャプターがありません',
+                'backup.rejected': '取り込めなかったデータ ({count})',
+                'backup.downloaded': 'バックアップをダウンロードしました',
+                'backup.chooseJson': 'JSONファイルを選択してください',
+                'backup.readFailed': 'ファイルの読み込みに失敗しました: {error}',
+                'backup.nothing': '取り込めるストーリーがありませんでした',
+                'backup.confirmReplace': '{count} 件のストーリーをインポートします。現在のデータは上書きされます。よろしいですか？',
+                'backup.replaced': '{count} 件のストーリーで置き換えました',
+                'backup.added': '新規ストーリー: {count}',
+                'backup.updated': '更新したストーリー: {updated}（追加チャプター {chapters}、競合 {conflicts}）',
+                'backup.unchanged': '変更なし: {count}',
+                'backup.done': 'インポート完了！',
+
+                'export.vocab': '重要単語',
+                'export.translation': '訳',
+                'export.nothing': 'エクスポートするストーリーがありません',
+                'export.done': 'エクスポートしました',
+
+                'share.nothing': '共有されたテキストが見つかりませんでした',
+                'share.appendConfirm': '「{title}」はすでにあります。新しいストーリーではなく、チャプター {n} として追加しますか？',
+
+                'update.available': '新しいバージョンがあります',
+                'update.reload': '再読み込み'
             }
+        },
+        en: {
+            label: 'English',
+            dateLocale: 'en-GB',
+            templateProfile: 'en',
+            strings: {
+                'common.save': 'Save',
+                'common.cancel': 'Cancel',
+                'common.delete': 'Delete',
+                'common.edit': 'Edit',
+                'storage.quota': 'Your changes could not be saved because storage is full.\n\nDelete stories you no longer need, or export a backup from Settings.',
+                'storage.failed': 'Failed to save data: {error}',
+                'storage.unreadable': 'Some saved data could not be read and was skipped',
+                'storage.blocked': 'Close the app in your other tabs to finish updating',
+                'storage.outdated': 'The app was updated in another tab. Reload to keep saving',
 
-            // Collect content based on current section
-            if (currentSection === 'title') {
-                // Lines after title header but before next section → treat as title continuation
-                if (trimmed && !title) {
-                    title = trimmed;
-                }
-            } else if (currentSection === 'english') {
-                englishBody += line + '\n';
-            } else if (currentSection === 'vocab') {
-                // Parse * **Word**: meaning   or   - **Word**: meaning
-                const vocabMatch = trimmed.match(/^[\*\-]\s*\*\*(.+?)\*\*[:\s：]+(.+)/);
-                if (vocabMatch) {
-                    vocabItems.push({
-                        word: vocabMatch[1].trim(),
-                        meaning: vocabMatch[2].trim()
-                    });
-                }
-            } else if (currentSection === 'translation') {
-                // Skip sub-headers like "### タイトル：XXX"
-                if (trimmed.match(/^#{2,3}\s/)) {
-                    // Extract as translation subtitle
-                    const subTitle = trimmed.replace(/^#{2,3}\s*/, '').replace(/タイトル[：:]\s*/, '');
-                    if (subTitle) {
-                        translationText += `**${subTitle}**\n\n`;
-                    }
-                    continue;
-                }
-                translationText += line + '\n';
+                'list.searchPlaceholder': '🔍 Search titles, text, translations and words',
+                'list.sort': 'Sort',
+                'list.review': '🃏 Review words',
+                'list.dueBefore': 'Today:',
+                'list.dueAfter': 'cards',
+                'list.empty': 'No stories yet',
+                'list.emptySub': 'Add one with the ＋ button below',
+                'list.noMatch': 'No stories match the current filters',
+                'list.chapters': p => p.count === 1 ? '1 chapter' : `${p.count} chapters`,
+                'list.all': 'All',
+                'sort.updated': 'Last updated',
+                'sort.title': 'Title',
+                'sort.created': 'Date added',
+                'sort.lastRead': 'Last read',
+                'sort.chapters': 'Chapter count',
+
+                'search.none': 'No results',
+                'search.count': p => p.count === 1 ? '1 result' : `${p.count} results`,
+                'search.title': 'Title',
+                'search.english': 'Text',
+                'search.translation': 'Translation',
+                'search.vocab': 'Vocabulary',
+
+                'reader.mode': 'View mode',
+                'reader.modeEnglish': 'English only',
+                'reader.modeInterleaved': 'Interleaved',
+                'reader.modeParallel': 'Side by side',
+                'reader.display': 'Aa Display',
+                'reader.addChapter': '📝 Add chapter',
+                'reader.manageChapters': '📑 Manage chapters',
+                'reader.highlights': '🖍 Highlights',
+                'reader.quiz': '🧠 Quiz',
+                'reader.exportAnki': '📤 Anki deck (.tsv)',
+                'reader.exportMarkdown': '📤 Markdown (.md)',
+                'reader.exportEpub': '📤 EPUB',
+                'reader.deleteStory': '🗑️ Delete story',
+                'reader.continuePrompt': '✨ Prompt for next chapter',
+                'reader.readAloud': '🔊 Read aloud',
+                'tts.unavailable': "Read-aloud isn't available on this device",
+                'tts.defaultVoice': 'Default voice',
+                'tts.speakWord': 'Listen',
+                'tts.play': 'Play',
+                'tts.pause': 'Pause',
+                'tts.prevSentence': 'Previous sentence',
+                'tts.nextSentence': 'Next sentence',
+                'tts.rate': 'Speed',
+                'tts.voice': 'Voice',
+                'tts.close': 'Close',
+                'reader.prev': '‹ Prev',
+                'reader.next': 'Next ›',
+                'reader.tabVocab': '📖 Words',
+                'reader.tabTranslation': '🌐 Translation',
+                'reader.vocabTitle': '📖 Key vocabulary',
+                'reader.translationTitle': '🌐 Translation',
+                'reader.noVocab': 'No vocabulary for this chapter',
+                'reader.noTranslation': 'No translation for this chapter',
+                'reader.alignNotice': 'The paragraph counts differ, so the texts are shown without pairing (English {english} / translation {translation})',
+                'reader.notInVocab': 'Not in the vocabulary list',
+                'reader.noMeaning': '(no meaning yet)',
+                'reader.myWord': 'My word',
+                'reader.confirmDeleteStory': 'Delete this story?',
+                'reader.storyDeleted': 'Story deleted',
+
+                'words.add': '＋ Add to my words',
+                'words.title': 'My words',
+                'words.formTitle': '📒 My words',
+                'words.word': 'Word',
+                'words.meaning': 'Meaning',
+                'words.meaningPlaceholder': 'Enter the meaning',
+                'words.sentence': 'Example sentence',
+                'words.added': 'Added to my words',
+                'words.updated': 'Word updated',
+                'words.empty': 'No saved words yet',
+                'words.emptySub': 'Select a word in the text and tap "Add to my words"',
+                'words.deletedStory': '(deleted story)',
+                'words.confirmDelete': 'Delete "{word}"?',
+                'words.showInStory': 'Show in story',
+
+                'highlight.title': '🖍 Highlight',
+                'highlight.listTitle': '🖍 Highlights',
+                'highlight.note': 'Note',
+                'highlight.notePlaceholder': 'Grammar points, things to bring up in class…',
+                'highlight.selectText': 'Select a passage of the story text',
+                'highlight.saved': 'Highlight saved',
+                'highlight.empty': 'No highlights yet',
+                'highlight.deletedChapter': 'Deleted chapter',
+                'highlight.orphaned': 'Not found',
+                'highlight.yellow': 'Yellow',
+                'highlight.green': 'Green',
+                'highlight.blue': 'Blue',
+                'highlight.pink': 'Pink',
+                'highlight.withYellow': 'Highlight yellow',
+                'highlight.withGreen': 'Highlight green',
+                'highlight.withBlue': 'Highlight blue',
+                'highlight.withPink': 'Highlight pink',
+
+                'stats.title': 'Reading stats',
+                'stats.easy': 'Easy',
+                'stats.standard': 'Standard',
+                'stats.fairlyHard': 'Fairly difficult',
+                'stats.hard': 'Difficult',
+                'stats.minutes': '{m} min',
+                'stats.hours': p => `${p.h} h${p.m ? ` ${p.m} min` : ''}`,
+                'stats.dayTitle': '{date}: {time} · {chapters} chapters',
+                'stats.glossed': '{ratio} glossed words / 100',
+                'stats.finished': 'Finished {done}/{total}',
+                'stats.words': 'Words',
+                'stats.unique': 'Unique',
+                'stats.time': 'Time',
+                'stats.streak': 'Day streak',
+                'stats.best': 'Best streak',
+                'stats.totalTime': 'Time read',
+                'stats.chaptersDone': 'Chapters finished',
+                'stats.wordsRead': 'Words read',
+                'stats.calendar': 'Reading calendar',
+                'stats.difficulty': 'Difficulty by story',
+                'stats.fleschHint': 'Higher Flesch scores mean easier text (80 and above: easy).',
+                'stats.noStories': 'No stories',
+
+                'review.title': 'Word review',
+                'review.done': "You're done for today",
+                'review.doneSub': 'See you tomorrow',
+                'review.again': 'Again',
+                'review.hard': 'Hard',
+                'review.good': 'Good',
+                'review.easy': 'Easy',
+                'review.today': 'Today',
+                'review.days': '{n}d',
+                'review.months': '{n}mo',
+                'review.years': '{n}y',
+                'review.remaining': '{left} / {total} left',
+                'review.reveal': 'Show answer',
+
+                'quiz.title': 'Quiz',
+                'quiz.cannotBuild': "Couldn't build any questions from this chapter (it needs a vocabulary list or an aligned translation)",
+                'quiz.retryBadge': 'Missed last time',
+                'quiz.cloze': 'Type the missing word ({meaning})',
+                'quiz.choice': 'Choose the meaning',
+                'quiz.match': 'Match each English paragraph with its translation',
+                'quiz.check': 'Check',
+                'quiz.next': 'Next',
+                'quiz.correct': 'Correct!',
+                'quiz.answerWas': 'The answer is "{answer}"',
+                'quiz.pairs': '{right} of {total} pairs correct',
+                'quiz.previous': 'Last time: {correct} / {total}',
+                'quiz.missed': 'Missed words (they will come up again next time)',
+                'quiz.perfect': 'All correct 🎉',
+                'quiz.retry': 'Try again',
+                'quiz.backToText': 'Back to the text',
+
+                'add.newStory': 'New story',
+                'add.addChapter': 'Add chapter',
+                'add.editChapter': 'Edit chapter {n}',
+                'add.targetStory': 'Adding to',
+                'add.pickFiles': '📂 Import files (.md / .txt)',
+                'add.paste': 'Paste template text (several at once is fine)',
+                'add.submit': 'Parse & save',
+                'add.sectionTitle': '1. Title',
+                'add.sectionEnglish': '2. English',
+                'add.sectionVocab': '3. Vocabulary',
+                'add.sectionTranslation': '4. Translation',
+                'add.format': 'Format: {name}',
+                'add.detected': p => p.count === 1 ? '1 template found' : `${p.count} templates found`,
+                'add.warnings': p => p.count === 1 ? '(1 warning)' : `(${p.count} warnings)`,
+                'add.previewVocab': 'Vocabulary ({count})',
+                'add.previewTranslation': 'Translation ({lang})',
+                'add.hintTitle': 'Title',
+                'add.hintBody': '(story text)',
+                'add.hintMeaning': 'meaning',
+                'add.hintTranslation': '(translation)',
+                'add.block': 'Block {n}',
+                'add.parseFailed': "Couldn't parse the template",
+                'add.chapterUpdated': 'Chapter updated',
+                'add.chapterUpdatedOrphans': p => `Chapter updated (${p.count === 1 ? '1 highlight' : `${p.count} highlights`} could not be placed)`,
+                'add.chapterAdded': 'Added chapter {n}',
+                'add.storyAdded': 'Story added!',
+
+                'parse.noTitle': 'Section 1 (Title) not found',
+                'parse.emptyTitle': 'The title is empty (line {line})',
+                'parse.noEnglish': 'Section 2 (English Short Story) not found',
+                'parse.emptyEnglish': 'The story text is empty (after line {line})',
+                'parse.noVocab': 'Section 3 (vocabulary) not found',
+                'parse.vocabEmpty': 'No vocabulary entries could be read',
+                'parse.skippedVocab': 'Line {line}: skipped, not a vocabulary entry — {text}',
+                'parse.noTranslation': 'Section 4 (translation) not found',
+                'parse.emptyTranslation': 'The translation is empty (after line {line})',
+                'parse.unmatchedBold': 'Bold words missing from the vocabulary list: {words}',
+
+                'import.chapters': p => p.count === 1 ? '+1 chapter' : `+${p.count} chapters`,
+                'import.created': 'New stories',
+                'import.appended': 'Added to existing stories',
+                'import.failed': 'Failed',
+                'import.backToList': 'Back to the list',
+                'import.done': p => p.count === 1 ? 'Imported 1 chapter' : `Imported ${p.count} chapters`,
+                'import.pickFiles': 'Choose .md or .txt files',
+                'import.readError': "Couldn't read the file",
+
+                'chapters.title': 'Manage chapters',
+                'chapters.storyTitle': 'Title',
+                'chapters.collection': 'Collection (series)',
+                'chapters.collectionPlaceholder': 'e.g. Mystery Series',
+                'chapters.tags': 'Tags (comma-separated)',
+                'chapters.tagsPlaceholder': 'e.g. Level B1, Mystery, This week',
+                'chapters.heading': 'Chapters',
+                'chapters.confirmDelete': 'Delete chapter {n}?',
+                'chapters.deleted': 'Chapter deleted',
+                'chapters.infoSaved': 'Story details saved',
+                'chapters.moveUp': 'Move up',
+                'chapters.moveDown': 'Move down',
+
+                'settings.title': 'Settings',
+                'settings.appearance': 'Appearance',
+                'settings.language': 'Language',
+                'settings.prompts': 'Next-chapter prompts',
+                'settings.addPreset': '+ Add preset',
+                'settings.data': 'Data',
+                'settings.backup': 'Backup',
+                'settings.exportJson': 'Export (.json)',
+                'settings.anki': 'Anki deck',
+                'settings.exportTsv': 'Export (.tsv)',
+                'settings.templates': 'Templates',
+                'settings.exportMd': 'Export (.md)',
+                'settings.restore': 'Restore',
+                'settings.merge': 'Merge',
+                'settings.replace': 'Replace',
+                'settings.onConflict': 'On conflict',
+                'settings.keepNewer': 'Keep the newer one',
+                'settings.keepMine': 'Keep my data',
+                'settings.keepTheirs': 'Prefer the backup',
+                'settings.import': 'Import',
+
+                'prompt.title': '✨ Prompt for next chapter',
+                'prompt.preset': 'Preset',
+                'prompt.level': 'Level',
+                'prompt.words': 'Words',
+                'prompt.copy': 'Copy',
+                'prompt.paste': 'Paste answer as chapter',
+                'prompt.hint': "Send this to a chatbot, then paste its answer to add it as the next chapter.",
+                'prompt.copied': 'Prompt copied',
+                'prompt.copyManually': "Couldn't copy. The text is selected — copy it manually",
+                'prompt.pasteHint': 'Paste the answer into the box below',
+                'prompt.answerPlaceholder': 'Paste the answer here',
+                'prompt.append': 'Add as a new chapter',
+                'prompt.name': 'Name',
+                'prompt.instructions': 'Extra instructions',
+                'prompt.instructionsPlaceholder': 'e.g. more dialogue, practise the past tense',
+                'prompt.untitled': 'Untitled preset',
+                'prompt.newPreset': 'New preset',
+                'prompt.presetSaved': 'Preset saved',
+                'prompt.confirmDelete': 'Delete the preset "{name}"?',
+
+                'display.theme': 'Theme',
+                'display.font': 'Typeface',
+                'display.reset': 'Reset to defaults',
+                'display.fontSize': 'Font size',
+                'display.lineHeight': 'Line height',
+                'display.paragraphSpacing': 'Paragraph spacing',
+                'display.width': 'Max width',
+                'theme.auto': 'Match device',
+                'theme.dark': 'Dark',
+                'theme.light': 'Light',
+                'theme.sepia': 'Sepia',
+                'theme.contrast': 'High contrast',
+                'font.serif': 'Serif (Lora)',
+                'font.sans': 'Sans serif (Inter)',
+
+                'backup.unsupported': 'Unsupported backup format (version {version})',
+                'backup.noStories': 'The file contains no stories',
+                'backup.invalid': 'Invalid format',
+                'backup.noId': 'Missing id',
+                'backup.badId': 'Id contains invalid characters',
+                'backup.noText': 'Missing story text',
+                'backup.vocabNotArray': 'The vocabulary is not a list',
+                'backup.badVocab': 'Invalid vocabulary entry',
+                'backup.badTranslation': 'Invalid translation',
+                'backup.storyLabel': 'Story {n}',
+                'backup.noTitle': 'Missing title',
+                'backup.chaptersNotArray': 'The chapters are not a list',
+                'backup.noValidChapters': 'No valid chapters',
+                'backup.rejected': 'Not imported ({count})',
+                'backup.downloaded': 'Backup downloaded',
+                'backup.chooseJson': 'Choose a JSON file',
+                'backup.readFailed': 'Could not read the file: {error}',
+                'backup.nothing': 'No stories could be imported',
+                'backup.confirmReplace': p => `Import ${p.count === 1 ? '1 story' : `${p.count} stories`}? Your current data will be replaced.`,
+                'backup.replaced': p => `Replaced the library with ${p.count === 1 ? '1 story' : `${p.count} stories`}`,
+                'backup.added': 'New stories: {count}',
+                'backup.updated': 'Updated stories: {updated} ({chapters} chapters added, {conflicts} conflicts)',
+                'backup.unchanged': 'Unchanged: {count}',
+                'backup.done': 'Import complete!',
+
+                'export.vocab': 'Vocabulary',
+                'export.translation': 'Translation',
+                'export.nothing': 'No stories to export',
+                'export.done': 'Exported',
+
+                'share.nothing': 'No shared text was found',
+                'share.appendConfirm': '"{title}" is already in your library. Add this as chapter {n} instead of creating a new story?',
+
+                'update.available': 'A new version is available',
+                'update.reload': 'Reload'
             }
-        }
+        },
+        fr: {
+            label: 'Français',
+            dateLocale: 'fr-FR',
+            templateProfile: 'fr',
+            strings: {
+                'common.save': 'Enregistrer',
+                'common.cancel': 'Annuler',
+                'common.delete': 'Supprimer',
+                'common.edit': 'Modifier',
+                'storage.quota': "Vos modifications n'ont pas pu être enregistrées : le stockage est plein.\n\nSupprimez les histoires dont vous n'avez plus besoin ou exportez une sauvegarde depuis les réglages.",
+                'storage.failed': "Échec de l'enregistrement des données : {error}",
+                'storage.unreadable': "Certaines données enregistrées étaient illisibles et ont été ignorées",
+                'storage.blocked': "Fermez l'application dans vos autres onglets pour terminer la mise à jour",
+                'storage.outdated': "L'application a été mise à jour dans un autre onglet. Rechargez pour continuer à enregistrer",
 
-        // Validate: at minimum we need a title and english body
-        if (!title || !englishBody.trim()) {
-            return null;
+                'list.searchPlaceholder': '🔍 Rechercher dans les titres, textes, traductions et mots',
+                'list.sort': 'Trier',
+                'list.review': '🃏 Réviser les mots',
+                'list.dueBefore': "Aujourd'hui :",
+                'list.dueAfter': 'cartes',
+                'list.empty': "Aucune histoire pour l'instant",
+                'list.emptySub': 'Ajoutez-en une avec le bouton ＋ ci-dessous',
+                'list.noMatch': 'Aucune histoire ne correspond aux filtres',
+                'list.chapters': p => p.count <= 1 ? `${p.count} chapitre` : `${p.count} chapitres`,
+                'list.all': 'Toutes',
+                'sort.updated': 'Dernière modification',
+                'sort.title': 'Titre',
+                'sort.created': "Date d'ajout",
+                'sort.lastRead': 'Dernière lecture',
+                'sort.chapters': 'Nombre de chapitres',
+
+                'search.none': 'Aucun résultat',
+                'search.count': p => p.count <= 1 ? `${p.count} résultat` : `${p.count} résultats`,
+                'search.title': 'Titre',
+                'search.english': 'Texte',
+                'search.translation': 'Traduction',
+                'search.vocab': 'Vocabulaire',
+
+                'reader.mode': "Mode d'affichage",
+                'reader.modeEnglish': 'Anglais seul',
+                'reader.modeInterleaved': 'Alterné',
+                'reader.modeParallel': 'Côte à côte',
+                'reader.display': 'Aa Affichage',
+                'reader.addChapter': '📝 Ajouter un chapitre',
+                'reader.manageChapters': '📑 Gérer les chapitres',
+                'reader.highlights': '🖍 Surlignages',
+                'reader.quiz': '🧠 Quiz',
+                'reader.exportAnki': '📤 Paquet Anki (.tsv)',
+                'reader.exportMarkdown': '📤 Markdown (.md)',
+                'reader.exportEpub': '📤 EPUB',
+                'reader.deleteStory': "🗑️ Supprimer l'histoire",
+                'reader.continuePrompt': '✨ Prompt pour la suite',
+                'reader.readAloud': '🔊 Lecture à voix haute',
+                'tts.unavailable': "La lecture à voix haute n'est pas disponible sur cet appareil",
+                'tts.defaultVoice': 'Voix par défaut',
+                'tts.speakWord': 'Écouter',
+                'tts.play': 'Lecture',
+                'tts.pause': 'Pause',
+                'tts.prevSentence': 'Phrase précédente',
+                'tts.nextSentence': 'Phrase suivante',
+                'tts.rate': 'Vitesse',
+                'tts.voice': 'Voix',
+                'tts.close': 'Fermer',
+                'reader.prev': '‹ Préc.',
+                'reader.next': 'Suiv. ›',
+                'reader.tabVocab': '📖 Mots',
+                'reader.tabTranslation': '🌐 Traduction',
+                'reader.vocabTitle': '📖 Vocabulaire clé',
+                'reader.translationTitle': '🌐 Traduction',
+                'reader.noVocab': 'Pas de vocabulaire pour ce chapitre',
+                'reader.noTranslation': 'Pas de traduction pour ce chapitre',
+                'reader.alignNotice': "Le nombre de paragraphes diffère : les textes sont affichés sans être appariés (anglais {english} / traduction {translation})",
+                'reader.notInVocab': 'Absent de la liste de vocabulaire',
+                'reader.noMeaning': '(pas encore de sens)',
+                'reader.myWord': 'Mon mot',
+                'reader.confirmDeleteStory': 'Supprimer cette histoire ?',
+                'reader.storyDeleted': 'Histoire supprimée',
+
+                'words.add': '＋ Ajouter à mes mots',
+                'words.title': 'Mes mots',
+                'words.formTitle': '📒 Mes mots',
+                'words.word': 'Mot',
+                'words.meaning': 'Sens',
+                'words.meaningPlaceholder': 'Saisissez le sens',
+                'words.sentence': 'Exemple',
+                'words.added': 'Ajouté à mes mots',
+                'words.updated': 'Mot mis à jour',
+                'words.empty': 'Aucun mot enregistré',
+                'words.emptySub': 'Sélectionnez un mot dans le texte puis touchez « Ajouter à mes mots »',
+                'words.deletedStory': '(histoire supprimée)',
+                'words.confirmDelete': 'Supprimer « {word} » ?',
+                'words.showInStory': "Afficher dans l'histoire",
+
+                'highlight.title': '🖍 Surlignage',
+                'highlight.listTitle': '🖍 Surlignages',
+                'highlight.note': 'Note',
+                'highlight.notePlaceholder': 'Points de grammaire, questions pour le cours…',
+                'highlight.selectText': "Sélectionnez un passage du texte de l'histoire",
+                'highlight.saved': 'Surlignage enregistré',
+                'highlight.empty': 'Aucun surlignage',
+                'highlight.deletedChapter': 'Chapitre supprimé',
+                'highlight.orphaned': 'Introuvable',
+                'highlight.yellow': 'Jaune',
+                'highlight.green': 'Vert',
+                'highlight.blue': 'Bleu',
+                'highlight.pink': 'Rose',
+                'highlight.withYellow': 'Surligner en jaune',
+                'highlight.withGreen': 'Surligner en vert',
+                'highlight.withBlue': 'Surligner en bleu',
+                'highlight.withPink': 'Surligner en rose',
+
+                'stats.title': 'Statistiques de lecture',
+                'stats.easy': 'Facile',
+                'stats.standard': 'Standard',
+                'stats.fairlyHard': 'Assez difficile',
+                'stats.hard': 'Difficile',
+                'stats.minutes': '{m} min',
+                'stats.hours': p => `${p.h} h${p.m ? ` ${p.m} min` : ''}`,
+                'stats.dayTitle': '{date} : {time} · {chapters} chapitres',
+                'stats.glossed': '{ratio} mots glosés / 100',
+                'stats.finished': 'Terminés {done}/{total}',
+                'stats.words': 'Mots',
+                'stats.unique': 'Uniques',
+                'stats.time': 'Temps',
+                'stats.streak': 'Jours consécutifs',
+                'stats.best': 'Meilleure série',
+                'stats.totalTime': 'Temps de lecture',
+                'stats.chaptersDone': 'Chapitres terminés',
+                'stats.wordsRead': 'Mots lus',
+                'stats.calendar': 'Calendrier de lecture',
+                'stats.difficulty': 'Difficulté par histoire',
+                'stats.fleschHint': 'Plus le score de Flesch est élevé, plus le texte est facile (80 et plus : facile).',
+                'stats.noStories': 'Aucune histoire',
+
+                'review.title': 'Révision des mots',
+                'review.done': "C'est fini pour aujourd'hui",
+                'review.doneSub': 'À demain',
+                'review.again': 'À revoir',
+                'review.hard': 'Difficile',
+                'review.good': 'Bien',
+                'review.easy': 'Facile',
+                'review.today': "Aujourd'hui",
+                'review.days': '{n} j',
+                'review.months': '{n} mois',
+                'review.years': '{n} a',
+                'review.remaining': 'Reste {left} / {total}',
+                'review.reveal': 'Voir la réponse',
+
+                'quiz.title': 'Quiz',
+                'quiz.cannotBuild': "Impossible de créer des questions pour ce chapitre (il faut une liste de vocabulaire ou une traduction alignée)",
+                'quiz.retryBadge': 'Raté la dernière fois',
+                'quiz.cloze': 'Tapez le mot manquant ({meaning})',
+                'quiz.choice': 'Choisissez le sens',
+                'quiz.match': 'Associez chaque paragraphe anglais à sa traduction',
+                'quiz.check': 'Vérifier',
+                'quiz.next': 'Suivant',
+                'quiz.correct': 'Correct !',
+                'quiz.answerWas': 'La réponse est « {answer} »',
+                'quiz.pairs': '{right} paires correctes sur {total}',
+                'quiz.previous': 'La dernière fois : {correct} / {total}',
+                'quiz.missed': 'Mots ratés (ils reviendront la prochaine fois)',
+                'quiz.perfect': 'Tout est juste 🎉',
+                'quiz.retry': 'Recommencer',
+                'quiz.backToText': 'Retour au texte',
+
+                'add.newStory': 'Nouvelle histoire',
+                'add.addChapter': 'Ajouter un chapitre',
+                'add.editChapter': 'Modifier le chapitre {n}',
+                'add.targetStory': 'Ajout à',
+                'add.pickFiles': '📂 Importer des fichiers (.md / .txt)',
+                'add.paste': 'Collez le texte du modèle (plusieurs à la fois, c’est possible)',
+                'add.submit': 'Analyser et enregistrer',
+                'add.sectionTitle': '1. Titre',
+                'add.sectionEnglish': '2. Anglais',
+                'add.sectionVocab': '3. Vocabulaire',
+                'add.sectionTranslation': '4. Traduction',
+                'add.format': 'Format : {name}',
+                'add.detected': p => p.count <= 1 ? `${p.count} modèle trouvé` : `${p.count} modèles trouvés`,
+                'add.warnings': p => p.count <= 1 ? `(${p.count} avertissement)` : `(${p.count} avertissements)`,
+                'add.previewVocab': 'Vocabulaire ({count})',
+                'add.previewTranslation': 'Traduction ({lang})',
+                'add.hintTitle': 'Titre',
+                'add.hintBody': "(texte de l'histoire)",
+                'add.hintMeaning': 'sens',
+                'add.hintTranslation': '(traduction)',
+                'add.block': 'Bloc {n}',
+                'add.parseFailed': "Impossible d'analyser le modèle",
+                'add.chapterUpdated': 'Chapitre mis à jour',
+                'add.chapterUpdatedOrphans': p => `Chapitre mis à jour (${p.count <= 1 ? `${p.count} surlignage n'a pas pu être replacé` : `${p.count} surlignages n'ont pas pu être replacés`})`,
+                'add.chapterAdded': 'Chapitre {n} ajouté',
+                'add.storyAdded': 'Histoire ajoutée !',
+
+                'parse.noTitle': 'Section 1 (titre) introuvable',
+                'parse.emptyTitle': 'Le titre est vide (ligne {line})',
+                'parse.noEnglish': 'Section 2 (English Short Story) introuvable',
+                'parse.emptyEnglish': "Le texte de l'histoire est vide (après la ligne {line})",
+                'parse.noVocab': 'Section 3 (vocabulaire) introuvable',
+                'parse.vocabEmpty': "Aucune entrée de vocabulaire n'a pu être lue",
+                'parse.skippedVocab': "Ligne {line} : ignorée, ce n'est pas une entrée de vocabulaire — {text}",
+                'parse.noTranslation': 'Section 4 (traduction) introuvable',
+                'parse.emptyTranslation': 'La traduction est vide (après la ligne {line})',
+                'parse.unmatchedBold': 'Mots en gras absents de la liste de vocabulaire : {words}',
+
+                'import.chapters': p => p.count <= 1 ? `+${p.count} chapitre` : `+${p.count} chapitres`,
+                'import.created': 'Nouvelles histoires',
+                'import.appended': 'Ajoutés à des histoires existantes',
+                'import.failed': 'Échecs',
+                'import.backToList': 'Retour à la liste',
+                'import.done': p => p.count <= 1 ? `${p.count} chapitre importé` : `${p.count} chapitres importés`,
+                'import.pickFiles': 'Choisissez des fichiers .md ou .txt',
+                'import.readError': 'Impossible de lire le fichier',
+
+                'chapters.title': 'Gérer les chapitres',
+                'chapters.storyTitle': 'Titre',
+                'chapters.collection': 'Collection (série)',
+                'chapters.collectionPlaceholder': 'ex. : Série policière',
+                'chapters.tags': 'Étiquettes (séparées par des virgules)',
+                'chapters.tagsPlaceholder': 'ex. : Niveau B1, Policier, Cette semaine',
+                'chapters.heading': 'Chapitres',
+                'chapters.confirmDelete': 'Supprimer le chapitre {n} ?',
+                'chapters.deleted': 'Chapitre supprimé',
+                'chapters.infoSaved': "Informations de l'histoire enregistrées",
+                'chapters.moveUp': 'Monter',
+                'chapters.moveDown': 'Descendre',
+
+                'settings.title': 'Réglages',
+                'settings.appearance': 'Apparence',
+                'settings.language': 'Langue',
+                'settings.prompts': 'Prompts pour la suite',
+                'settings.addPreset': '+ Ajouter un préréglage',
+                'settings.data': 'Données',
+                'settings.backup': 'Sauvegarde',
+                'settings.exportJson': 'Exporter (.json)',
+                'settings.anki': 'Paquet Anki',
+                'settings.exportTsv': 'Exporter (.tsv)',
+                'settings.templates': 'Modèles',
+                'settings.exportMd': 'Exporter (.md)',
+                'settings.restore': 'Restaurer',
+                'settings.merge': 'Fusionner',
+                'settings.replace': 'Remplacer',
+                'settings.onConflict': 'En cas de conflit',
+                'settings.keepNewer': 'Garder le plus récent',
+                'settings.keepMine': 'Garder mes données',
+                'settings.keepTheirs': 'Préférer la sauvegarde',
+                'settings.import': 'Importer',
+
+                'prompt.title': '✨ Prompt pour la suite',
+                'prompt.preset': 'Préréglage',
+                'prompt.level': 'Niveau',
+                'prompt.words': 'Mots',
+                'prompt.copy': 'Copier',
+                'prompt.paste': 'Coller la réponse comme chapitre',
+                'prompt.hint': 'Envoyez ce texte à un chatbot, puis collez sa réponse pour l’ajouter comme chapitre suivant.',
+                'prompt.copied': 'Prompt copié',
+                'prompt.copyManually': 'Copie impossible. Le texte est sélectionné : copiez-le manuellement',
+                'prompt.pasteHint': 'Collez la réponse dans la zone ci-dessous',
+                'prompt.answerPlaceholder': 'Collez la réponse ici',
+                'prompt.append': 'Ajouter comme nouveau chapitre',
+                'prompt.name': 'Nom',
+                'prompt.instructions': 'Consignes supplémentaires',
+                'prompt.instructionsPlaceholder': 'ex. : plus de dialogues, travailler le passé',
+                'prompt.untitled': 'Préréglage sans nom',
+                'prompt.newPreset': 'Nouveau préréglage',
+                'prompt.presetSaved': 'Préréglage enregistré',
+                'prompt.confirmDelete': 'Supprimer le préréglage « {name} » ?',
+
+                'display.theme': 'Thème',
+                'display.font': 'Police',
+                'display.reset': 'Rétablir les valeurs par défaut',
+                'display.fontSize': 'Taille du texte',
+                'display.lineHeight': 'Interligne',
+                'display.paragraphSpacing': 'Espacement des paragraphes',
+                'display.width': 'Largeur max.',
+                'theme.auto': "Comme l'appareil",
+                'theme.dark': 'Sombre',
+                'theme.light': 'Clair',
+                'theme.sepia': 'Sépia',
+                'theme.contrast': 'Contraste élevé',
+                'font.serif': 'Serif (Lora)',
+                'font.sans': 'Sans serif (Inter)',
+
+                'backup.unsupported': 'Format de sauvegarde non pris en charge (version {version})',
+                'backup.noStories': 'Le fichier ne contient aucune histoire',
+                'backup.invalid': 'Format invalide',
+                'backup.noId': 'Identifiant manquant',
+                'backup.badId': "L'identifiant contient des caractères non valides",
+                'backup.noText': "Texte de l'histoire manquant",
+                'backup.vocabNotArray': "Le vocabulaire n'est pas une liste",
+                'backup.badVocab': 'Entrée de vocabulaire invalide',
+                'backup.badTranslation': 'Traduction invalide',
+                'backup.storyLabel': 'Histoire {n}',
+                'backup.noTitle': 'Titre manquant',
+                'backup.chaptersNotArray': "Les chapitres ne sont pas une liste",
+                'backup.noValidChapters': 'Aucun chapitre valide',
+                'backup.rejected': 'Non importés ({count})',
+                'backup.downloaded': 'Sauvegarde téléchargée',
+                'backup.chooseJson': 'Choisissez un fichier JSON',
+                'backup.readFailed': 'Impossible de lire le fichier : {error}',
+                'backup.nothing': "Aucune histoire n'a pu être importée",
+                'backup.confirmReplace': p => `Importer ${p.count <= 1 ? `${p.count} histoire` : `${p.count} histoires`} ? Vos données actuelles seront remplacées.`,
+                'backup.replaced': p => `Bibliothèque remplacée par ${p.count <= 1 ? `${p.count} histoire` : `${p.count} histoires`}`,
+                'backup.added': 'Nouvelles histoires : {count}',
+                'backup.updated': 'Histoires mises à jour : {updated} ({chapters} chapitres ajoutés, {conflicts} conflits)',
+                'backup.unchanged': 'Inchangées : {count}',
+                'backup.done': 'Import terminé !',
+
+                'export.vocab': 'Vocabulaire',
+                'export.translation': 'Traduction',
+                'export.nothing': 'Aucune histoire à exporter',
+                'export.done': 'Export terminé',
+
+                'share.nothing': "Aucun texte partagé n'a été trouvé",
+                'share.appendConfirm': '« {title} » est déjà dans votre bibliothèque. L’ajouter comme chapitre {n} au lieu de créer une nouvelle histoire ?',
+
+                'update.available': 'Une nouvelle version est disponible',
+                'update.reload': 'Recharger'
+            }
         }
+    };
 
-        return {
-            title: title,
-            english: englishBody.trim(),
-            vocab: vocabItems,
-            translation: translationText.trim()
-        };
+    function detectLocale() {
+        const saved = localStorage.getItem('storyReader_locale');
+        if (LOCALES[saved]) return saved;
+        const preferred = (navigator.languages || [navigator.language || ''])
+            .map(tag => String(tag).split('-')[0].toLowerCase())
+            .find(code => LOCALES[code]);
+        return preferred || 'ja';
     }
 
-    // ================================================================
-    //  MARKDOWN → HTML (minimal)
-    // ================================================================
+    let uiLocale = detectLocale();
 
-    function markdownToHtml(text) {
-        if (!text) return '';
+    function t(key, params = {}) {
+        const value = key in LOCALES[uiLocale].strings ? LOCALES[uiLocale].strings[key] : LOCALES.ja.strings[key];
+        if (value === undefined) return key;
+        if (typeof value === 'function') return value(params);
+        return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
 
-        let html = text
-            // Bold
-            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-            // Italic (single *)
-            .replace(/(?<!\*)\*([^*]+?)\*(?!\*)/g, '<em>$1</em>')
-            // Line breaks → paragraphs
-            .split(/\n{2,}/)
-            .map(para => `<p>${para.trim()}</p>`)
-            .join('\n');
+    function formatDate(ms, options) {
+        return new Date(ms).toLocaleDateString(LOCALES[uiLocale].dateLocale, options);
+    }
 
-        // Single newlines within paragraphs
-        html = html.replace(/(?<!<\/p>)\n(?!<p>)/g, '<br>');
+    // Translates the static markup, then re-renders whatever is on screen
+    function applyLocale() {
+        document.documentElement.lang = uiLocale;
+        document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+        document.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+        document.querySelectorAll('[data-i18n-aria-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)));
+        $('story-input').placeholder = templateExample();
+        $('ui-locale').value = uiLocale;
+    }
 
-        return html;
+    function setLocale(code) {
+        if (!LOCALES[code]) return;
+        uiLocale = code;
+        localStorage.setItem('storyReader_locale', code);
+        applyLocale();
+        renderSortOptions();
+        syncDisplayForms();
+        renderPromptPresets();
+        renderStoryList();
     }
 
     // ================================================================
-    //  STORY LIST RENDERING
+    //  STORAGE (IndexedDB)
     // ================================================================
+    // Stories and chapters are stored as separate records so a save only
+    // writes what changed. A story record keeps `chapterIds` for ordering;
+    // each chapter record carries its `storyId`. The other per-user data
+    // (reviews, notebook, highlights, stats, quiz history, reading
+    // progress) is one record each in the `values` store. Falls back to the legacy localStorage
+    // keys when IndexedDB is unavailable; small settings stay there.
 
-    function renderStoryList() {
-        const container = $('story-list');
+    const DB_NAME = 'storyReader';
+    const DB_VERSION = 3;
+    const LEGACY_STORAGE_KEY = 'storyReader_stories';
 
-        if (stories.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-icon">📚</div>
-                    <p>まだストーリーがありません</p>
-                    <p class="empty-sub">下の＋ボタンから追加しましょう</p>
-                </div>`;
-            return;
+    // `values` records, keyed by their old localStorage key, and the empty
+    // value each one starts from
+    const VALUE_DEFAULTS = {
+        storyReader_reviews: () => ({}),
+        storyReader_notebook: () => [],
+        storyReader_highlights: () => [],
+        storyReader_stats: () => ({ days: {}, chapters: {} }),
+        storyReader_quiz: () => ({}),
+        storyReader_progress: () => ({})
+    };
+
+    // Schema migrations, keyed by the version they upgrade to. Each runs
+    // inside the versionchange transaction, in order, from the old version.
+    const DB_MIGRATIONS = {
+        1: (db) => {
+            db.createObjectStore('stories', { keyPath: 'id' });
+            const chapters = db.createObjectStore('chapters', { keyPath: 'id' });
+            chapters.createIndex('storyId', 'storyId');
+        },
+        // Chapters record their translation language; every chapter saved
+        // before that came from the Japanese-only template
+        2: (db, tx) => {
+            tx.objectStore('chapters').openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                if (cursor.value.translationLang === undefined) {
+                    cursor.update({ ...cursor.value, translationLang: 'ja' });
+                }
+                cursor.continue();
+            };
+        },
+        3: (db) => {
+            db.createObjectStore('values');
         }
+    };
 
-        const sortedStories = [...stories].sort((a, b) => b.updatedAt - a.updatedAt);
+    let db = null;
+    let saveQueue = Promise.resolve();
+    let storageErrorShown = false;
+    const savedRecords = { stories: new Map(), chapters: new Map() }; // id → last written JSON
+    const loadedValues = new Map(); // VALUE_DEFAULTS key → value read at init
 
-        container.innerHTML = sortedStories.map(story => {
-            const chapterCount = story.chapters.length;
-            const dateStr = new Date(story.updatedAt).toLocaleDateString('ja-JP', {
-                month: 'short', day: 'numeric'
-            });
-            return `
-                <div class="story-card" data-id="${story.id}">
-                    <div class="story-card-title">${escapeHtml(story.title)}</div>
-                    <div class="story-card-meta">
-                        <span class="chapter-badge">${chapterCount} チャプター</span>
-                        <span>${dateStr}</span>
-                    </div>
-                </div>`;
-        }).join('');
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-        // Click handlers
-        container.querySelectorAll('.story-card').forEach(card => {
-            card.addEventListener('click', () => {
-                openReader(card.dataset.id);
-            });
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
         });
     }
 
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (e) => {
+                for (let v = e.oldVersion + 1; v <= DB_VERSION; v++) {
+                    DB_MIGRATIONS[v](request.result, request.transaction);
+                }
+            };
+            request.onsuccess = () => {
+                const opened = request.result;
+                // Let a newer version in another tab upgrade; this tab's
+                // saves fail from here on, so ask for a reload
+                opened.onversionchange = () => {
+                    opened.close();
+                    showToast(t('storage.outdated'), {
+                        label: t('update.reload'),
+                        onClick: () => window.location.reload()
+                    });
+                };
+                resolve(opened);
+            };
+            request.onerror = () => reject(request.error);
+            // An older tab still has the database open; the upgrade goes
+            // ahead once it closes, so wait rather than fail
+            request.onblocked = () => showToast(t('storage.blocked'));
+        });
     }
 
-    // ================================================================
-    //  READER
-    // ================================================================
+    // Parsed JSON from localStorage, or `fallback` when the key is missing,
+    // unreadable or holds a different kind of value
+    function readStoredJSON(key, fallback) {
+        let value;
+        try {
+            value = JSON.parse(localStorage.getItem(key));
+        } catch (err) {
+            return fallback;
+        }
+        return sameKind(value, fallback) ? value : fallback;
+    }
 
-    let currentStoryId = null;
-    let currentChapterIndex = 0;
+    function sameKind(value, example) {
+        if (value === null || value === undefined) return false;
+        if (Array.isArray(example)) return Array.isArray(value);
+        return typeof value === typeof example && !Array.isArray(value);
+    }
 
-    function openReader(storyId) {
-        const story = stories.find(s => s.id === storyId);
-        if (!story) return;
+    function toRecords(storyList) {
+        const storyRecords = [];
+        const chapterRecords = [];
+        storyList.forEach(story => {
+            const { chapters, ...rest } = story;
+            storyRecords.push({ ...rest, chapterIds: chapters.map(c => c.id) });
+            chapters.forEach(chapter => chapterRecords.push({ ...chapter, storyId: story.id }));
+        });
+        return { storyRecords, chapterRecords };
+    }
 
-        currentStoryId = storyId;
-        currentChapterIndex = 0;
+    function fromRecords(storyRecords, chapterRecords) {
+        const chaptersById = new Map();
+        chapterRecords.forEach(({ storyId, ...chapter }) => chaptersById.set(chapter.id, chapter));
+        return storyRecords.map(({ chapterIds, ...story }) => ({
+            ...story,
+            chapters: chapterIds.map(id => chaptersById.get(id)).filter(Boolean)
+        }));
+    }
 
-        navigateTo('view-reader');
-        renderChapter();
+    function rememberSaved(storyRecords, chapterRecords) {
+        savedRecords.stories = new Map(storyRecords.map(r => [r.id, JSON.stringify(r)]));
+        savedRecords.chapters = new Map(chapterRecords.map(r => [r.id, JSON.stringify(r)]));
     }
 
-    function renderChapter() {
-        const story = stories.find(s => s.id === currentStoryId);
-        if (!story) return;
+    // Copies data from the pre-IndexedDB localStorage key on first launch.
+    // Unreadable data is left in place rather than deleted.
+    async function migrateLegacyStorage() {
+        const raw = localStorage.getItem(LEGACY_STORAGE_KEY);
+        if (!raw) return;
 
-        const chapter = story.chapters[currentChapterIndex];
-        if (!chapter) return;
+        let legacy;
+        try {
+            legacy = JSON.parse(raw);
+        } catch (err) {
+            showToast(t('storage.unreadable'));
+            return;
+        }
+        if (Array.isArray(legacy) && legacy.length > 0) {
+            const { storyRecords, chapterRecords } = toRecords(legacy);
+            chapterRecords.forEach(r => { if (r.translationLang === undefined) r.translationLang = 'ja'; });
+            const tx = db.transaction(['stories', 'chapters'], 'readwrite');
+            storyRecords.forEach(r => tx.objectStore('stories').put(r));
+            chapterRecords.forEach(r => tx.objectStore('chapters').put(r));
+            await transactionDone(tx);
+        }
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+    }
 
-        // Title
-        $('reader-title').textContent = story.title;
+    // localStorage copy used without IndexedDB; unreadable data loads as
+    // an empty library rather than stopping the app from starting
+    function readLegacyStories() {
+        try {
+            return JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY)) || [];
+        } catch (err) {
+            showToast(t('storage.unreadable'));
+            return [];
+        }
+    }
 
-        // Chapter info
-        const totalChapters = story.chapters.length;
-        if (totalChapters > 1) {
-            $('reader-chapter-info').textContent = `Ch. ${currentChapterIndex + 1} / ${totalChapters}`;
-        } else {
-            $('reader-chapter-info').textContent = '';
+    async function loadStories() {
+        if (!window.indexedDB) {
+            return readLegacyStories();
         }
 
-        // English text
-        $('reader-text').innerHTML = markdownToHtml(chapter.english);
+        try {
+            db = await openDatabase();
+            await migrateLegacyStorage();
 
-        // Vocabulary
-        const vocabContainer = $('vocab-content');
-        if (chapter.vocab && chapter.vocab.length > 0) {
-            vocabContainer.innerHTML = chapter.vocab.map(v => `
-                <div class="vocab-item">
-                    <span class="vocab-word">${escapeHtml(v.word)}</span>
-                    <span class="vocab-meaning">${escapeHtml(v.meaning)}</span>
-                </div>
-            `).join('');
-        } else {
-            vocabContainer.innerHTML = '<p style="color:var(--text-muted);padding:1rem 0;">単語データがありません</p>';
+            const tx = db.transaction(['stories', 'chapters'], 'readonly');
+            const [storyRecords, chapterRecords] = await Promise.all([
+                promisifyRequest(tx.objectStore('stories').getAll()),
+                promisifyRequest(tx.objectStore('chapters').getAll())
+            ]);
+            rememberSaved(storyRecords, chapterRecords);
+            return fromRecords(storyRecords, chapterRecords);
+        } catch (err) {
+            db = null;
+            return readLegacyStories();
+        }
+    }
+
+    // Reads the `values` records, first moving any still in localStorage
+    // into IndexedDB. Without IndexedDB they stay in localStorage.
+    async function loadValues() {
+        const keys = Object.keys(VALUE_DEFAULTS);
+        if (db) {
+            try {
+                const store = db.transaction('values', 'readonly').objectStore('values');
+                const found = await Promise.all(keys.map(key => promisifyRequest(store.get(key))));
+                const moved = [];
+                keys.forEach((key, i) => {
+                    if (found[i] !== undefined) loadedValues.set(key, found[i]);
+                    else if (localStorage.getItem(key) !== null) moved.push(key);
+                });
+                if (moved.length > 0) {
+                    const tx = db.transaction('values', 'readwrite');
+                    moved.forEach(key => {
+                        const value = readStoredJSON(key, VALUE_DEFAULTS[key]());
+                        loadedValues.set(key, value);
+                        tx.objectStore('values').put(value, key);
+                    });
+                    await transactionDone(tx);
+                    moved.forEach(key => localStorage.removeItem(key));
+                }
+                return;
+            } catch (err) {
+                // Whatever wasn't read from IndexedDB comes from localStorage
+            }
         }
+        keys.forEach(key => {
+            if (!loadedValues.has(key)) loadedValues.set(key, readStoredJSON(key, VALUE_DEFAULTS[key]()));
+        });
+    }
 
-        // Translation
-        const transContainer = $('translation-content');
-        if (chapter.translation) {
-            transContainer.innerHTML = `<div class="translation-text">${markdownToHtml(chapter.translation)}</div>`;
-        } else {
-            transContainer.innerHTML = '<p style="color:var(--text-muted);padding:1rem 0;">翻訳データがありません</p>';
+    // The value loaded for `key`, or a fresh default if it was the wrong kind
+    function storedValue(key) {
+        const fallback = VALUE_DEFAULTS[key]();
+        const value = loadedValues.get(key);
+        return sameKind(value, fallback) ? value : fallback;
+    }
+
+    // Writes one `values` record; rejects like persistStories
+    function persistValue(key, value) {
+        try {
+            if (!db) {
+                localStorage.setItem(key, JSON.stringify(value));
+                return Promise.resolve();
+            }
+            const tx = db.transaction('values', 'readwrite');
+            tx.objectStore('values').put(value, key);
+            return transactionDone(tx).then(() => {
+                storageErrorShown = false;
+            });
+        } catch (err) {
+            return Promise.reject(err);
         }
+    }
 
-        // Chapter navigation
-        if (totalChapters > 1) {
-            $('chapter-nav').classList.remove('hidden');
-            $('chapter-indicator').textContent = `${currentChapterIndex + 1} / ${totalChapters}`;
-            $('prev-chapter').disabled = currentChapterIndex === 0;
-            $('next-chapter').disabled = currentChapterIndex === totalChapters - 1;
-        } else {
-            $('chapter-nav').classList.add('hidden');
+    // Writes changed records and deletes removed ones in one transaction.
+    // Saves are queued so overlapping calls commit in order.
+    function persistStories() {
+        if (!db) {
+            // Reject rather than throw so quota errors reach the caller's catch
+            try {
+                localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(stories));
+            } catch (err) {
+                return Promise.reject(err);
+            }
+            return Promise.resolve();
         }
 
-        // Scroll to top
-        window.scrollTo(0, 0);
+        const { storyRecords, chapterRecords } = toRecords(stories);
+
+        saveQueue = saveQueue.catch(() => {}).then(async () => {
+            const tx = db.transaction(['stories', 'chapters'], 'readwrite');
+            const sync = (storeName, records) => {
+                const store = tx.objectStore(storeName);
+                const previous = savedRecords[storeName];
+                const current = new Set();
+                records.forEach(record => {
+                    current.add(record.id);
+                    if (previous.get(record.id) !== JSON.stringify(record)) store.put(record);
+                });
+                previous.forEach((json, id) => {
+                    if (!current.has(id)) store.delete(id);
+                });
+            };
+            sync('stories', storyRecords);
+            sync('chapters', chapterRecords);
+            await transactionDone(tx);
+
+            rememberSaved(storyRecords, chapterRecords);
+            storageErrorShown = false;
+        });
+        return saveQueue;
+    }
+
+    function isQuotaError(err) {
+        return err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+    }
+
+    // Surfaces failed saves once until a later save succeeds
+    function handleStorageError(err) {
+        if (storageErrorShown) return;
+        storageErrorShown = true;
+
+        if (isQuotaError(err)) {
+            alert(t('storage.quota'));
+        } else {
+            alert(t('storage.failed', { error: err && err.message ? err.message : err }));
+        }
+    }
+
+    // ================================================================
+    //  NAVIGATION
+    // ================================================================
+
+    function navigateTo(viewId) {
+        endReadingSession();
+        document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
+        $(viewId).classList.add('active');
+        window.scrollTo(0, 0);
+
+        // Close any open sheets when navigating
+        closeAllSheets();
+
+        // Close reader menu, vocab popover, selection toolbar and player
+        closeReadAloud();
+        $('reader-menu').classList.add('hidden');
+        $('vocab-popover').classList.add('hidden');
+        $('selection-toolbar').classList.add('hidden');
+
+        updateRoute();
+    }
+
+    // ================================================================
+    //  ROUTING
+    // ================================================================
+    // The hash mirrors the visible view so it survives reloads and works
+    // with back/forward:
+    //   #/                          story list
+    //   #/story/:id                 reader, at the saved position
+    //   #/story/:id/chapter/:n      reader (n is 1-based)
+    //   #/story/:id/chapter/:n/edit | /quiz
+    //   #/story/:id/add | /chapters
+    //   #/add  #/settings  #/notebook  #/review  #/stats
+    //   #/share                     text shared from another app (see SHARE TARGET)
+    // Each history entry remembers the route it was pushed from, so going
+    // "back" in the app pops history instead of stacking a new entry.
+
+    const SIMPLE_ROUTES = {
+        'view-list': '#/',
+        'view-settings': '#/settings',
+        'view-notebook': '#/notebook',
+        'view-review': '#/review',
+        'view-stats': '#/stats'
+    };
+
+    let applyingRoute = false;
+
+    function chapterRoute(storyId, index) {
+        return `#/story/${encodeURIComponent(storyId)}/chapter/${index + 1}`;
+    }
+
+    // The route for whatever is on screen now
+    function currentRoute() {
+        const view = document.querySelector('.view.active');
+        const viewId = view ? view.id : 'view-list';
+        if (SIMPLE_ROUTES[viewId]) return SIMPLE_ROUTES[viewId];
+
+        const storyPath = id => `#/story/${encodeURIComponent(id)}`;
+        switch (viewId) {
+            case 'view-reader':
+                return chapterRoute(currentStoryId, currentChapterIndex);
+            case 'view-quiz':
+                return quiz ? `${chapterRoute(quiz.storyId, quiz.chapterIndex)}/quiz` : '#/';
+            case 'view-chapters':
+                return `${storyPath(currentStoryId)}/chapters`;
+            case 'view-add': {
+                if (!addingToStoryId) return '#/add';
+                const story = stories.find(s => s.id === addingToStoryId);
+                const index = story && editingChapterId ? story.chapters.findIndex(c => c.id === editingChapterId) : -1;
+                return index !== -1 ? `${chapterRoute(addingToStoryId, index)}/edit` : `${storyPath(addingToStoryId)}/add`;
+            }
+            default:
+                return '#/';
+        }
+    }
+
+    function isFormRoute(route) {
+        return !!route && (route === '#/add' || /\/(add|edit)$/.test(route));
+    }
+
+    // See BOTTOM SHEETS: set while closeAllSheets pops a sheet's entry
+    let sheetPopPending = false;
+    let pendingRouteReplace = null; // Route update held back by that pop
+
+    function updateRoute(replace = false) {
+        if (sheetPopPending) {
+            pendingRouteReplace = pendingRouteReplace === null ? replace : pendingRouteReplace && replace;
+            return;
+        }
+        const route = currentRoute();
+        const state = history.state || {};
+        if (route === (location.hash || '#/')) return;
+
+        if (!applyingRoute && state.from === route) {
+            // Same as pressing back; the popstate that follows finds the
+            // route already showing and does nothing
+            history.back();
+        } else if (replace || applyingRoute || isFormRoute(state.route)) {
+            // A saved or abandoned form shouldn't be revisited with back
+            history.replaceState({ route, from: state.from }, '', route);
+        } else {
+            history.pushState({ route, from: location.hash || '#/' }, '', route);
+        }
+    }
+
+    function openRoute(hash) {
+        const parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+        const [section, storyId, sub, n, action] = parts;
+
+        if (section === 'story') {
+            const story = stories.find(s => s.id === storyId);
+            if (!story) return false;
+            currentStoryId = story.id;
+
+            if (!sub) {
+                openReader(story.id);
+                return true;
+            }
+            if (sub === 'add') {
+                openAddView(story.id);
+                return true;
+            }
+            if (sub === 'chapters') {
+                openChapterManager();
+                return true;
+            }
+
+            const index = parseInt(n, 10) - 1;
+            if (sub !== 'chapter' || !(index >= 0 && index < story.chapters.length)) return false;
+            if (action === 'edit') {
+                openAddView(story.id, story.chapters[index].id);
+            } else if (action === 'quiz') {
+                currentChapterIndex = index;
+                openQuiz();
+            } else {
+                openReader(story.id, index);
+            }
+            return true;
+        }
+
+        switch (section) {
+            case undefined:
+                navigateTo('view-list');
+                renderStoryList();
+                return true;
+            case 'add': openAddView(); return true;
+            case 'settings': navigateTo('view-settings'); return true;
+            case 'notebook': openNotebook(); return true;
+            case 'review': openReview(); return true;
+            case 'stats': openStats(); return true;
+            case 'share':
+                navigateTo('view-list');
+                renderStoryList();
+                openSharedTemplate();
+                return true;
+            default: return false;
+        }
+    }
+
+    // Shows the view for the current hash, falling back to the list for
+    // routes that no longer exist (e.g. a deleted story)
+    function applyRoute() {
+        const hash = location.hash || '#/';
+        if (hash === currentRoute() && document.querySelector('.view.active')) return;
+
+        applyingRoute = true;
+        try {
+            if (!openRoute(hash)) {
+                navigateTo('view-list');
+                renderStoryList();
+            }
+            // Openers that bail out (e.g. an empty quiz) leave the old view
+            updateRoute(true);
+        } finally {
+            applyingRoute = false;
+        }
+    }
+
+    // Back closes an open sheet before leaving the view: the sheet's own
+    // entry is what was just popped.
+    window.addEventListener('popstate', () => {
+        if (sheetPopPending) {
+            // The pop closeAllSheets asked for
+            sheetPopPending = false;
+            if (pendingRouteReplace !== null) {
+                const replace = pendingRouteReplace;
+                pendingRouteReplace = null;
+                updateRoute(replace);
+            }
+            return;
+        }
+        if (document.querySelector('.bottom-sheet.open')) {
+            hideSheets();
+            $('reader-menu').classList.add('hidden');
+            return;
+        }
+        if (history.state && history.state.sheet) {
+            // Forward onto a closed sheet's entry
+            history.replaceState({ ...history.state, sheet: null }, '');
+        }
+        $('reader-menu').classList.add('hidden');
+        applyRoute();
+    });
+
+    // ================================================================
+    //  THEME & DISPLAY SETTINGS
+    // ================================================================
+    // Theme plus reader typography, saved together and applied through
+    // CSS custom properties so changes show up live. "auto" follows the
+    // OS colour scheme. The same controls appear in the settings view and
+    // in a reader sheet; every `.display-form` is kept in sync.
+
+    // Values are locale keys
+    const THEMES = {
+        auto: 'theme.auto',
+        dark: 'theme.dark',
+        light: 'theme.light',
+        sepia: 'theme.sepia',
+        contrast: 'theme.contrast'
+    };
+    const THEME_ICONS = { dark: '🌙', light: '☀️', sepia: '📜', contrast: '◐' };
+    const THEME_COLORS = { dark: '#0f0f1a', light: '#f5f3ff', sepia: '#f4ecd8', contrast: '#000000' };
+    const READER_FONTS = { serif: 'font.serif', sans: 'font.sans' };
+
+    // [min, max, step, unit]
+    const DISPLAY_RANGES = {
+        fontSize: [14, 28, 1, 'px'],
+        lineHeight: [1.3, 2.4, 0.05, ''],
+        paragraphSpacing: [0.5, 2.5, 0.25, 'em'],
+        width: [480, 1000, 20, 'px']
+    };
+    const DISPLAY_LABELS = {
+        fontSize: 'display.fontSize',
+        lineHeight: 'display.lineHeight',
+        paragraphSpacing: 'display.paragraphSpacing',
+        width: 'display.width'
+    };
+    const DISPLAY_DEFAULTS = {
+        theme: 'auto',
+        font: 'serif',
+        fontSize: 18,
+        lineHeight: 1.95,
+        paragraphSpacing: 1.25,
+        width: 680
+    };
+
+    const systemDark = window.matchMedia('(prefers-color-scheme: dark)');
+
+    // Unknown keys are dropped and numbers clamped, so backups can't
+    // inject arbitrary values into the stylesheet
+    function sanitizeDisplaySettings(input) {
+        const source = input && typeof input === 'object' ? input : {};
+        const result = { ...DISPLAY_DEFAULTS };
+        if (Object.prototype.hasOwnProperty.call(THEMES, source.theme)) result.theme = source.theme;
+        if (Object.prototype.hasOwnProperty.call(READER_FONTS, source.font)) result.font = source.font;
+        Object.entries(DISPLAY_RANGES).forEach(([key, [min, max]]) => {
+            const value = parseFloat(source[key]);
+            if (Number.isFinite(value)) result[key] = Math.min(max, Math.max(min, value));
+        });
+        return result;
+    }
+
+    function loadDisplaySettings() {
+        const saved = readStoredJSON('storyReader_display', {});
+        // Earlier versions stored only the theme, under its own key
+        const legacyTheme = localStorage.getItem('storyReader_theme');
+        return sanitizeDisplaySettings(legacyTheme ? { theme: legacyTheme, ...saved } : saved);
+    }
+
+    let displaySettings = loadDisplaySettings();
+
+    function saveDisplaySettings() {
+        try {
+            localStorage.setItem('storyReader_display', JSON.stringify(displaySettings));
+            localStorage.removeItem('storyReader_theme');
+        } catch (err) {
+            handleStorageError(err);
+        }
+    }
+
+    function resolvedTheme() {
+        if (displaySettings.theme !== 'auto') return displaySettings.theme;
+        return systemDark.matches ? 'dark' : 'light';
+    }
+
+    function applyDisplaySettings() {
+        const root = document.documentElement;
+        const theme = resolvedTheme();
+        root.setAttribute('data-theme', theme);
+        root.style.setProperty('--reader-font-size', `${displaySettings.fontSize}px`);
+        root.style.setProperty('--reader-line-height', displaySettings.lineHeight);
+        root.style.setProperty('--paragraph-spacing', `${displaySettings.paragraphSpacing}em`);
+        root.style.setProperty('--reader-width', `${displaySettings.width}px`);
+        root.style.setProperty('--font-reader-text', displaySettings.font === 'sans' ? 'var(--font-ui)' : 'var(--font-reader)');
+
+        const meta = document.querySelector('meta[name="theme-color"]');
+        if (meta) meta.setAttribute('content', THEME_COLORS[theme]);
+        updateThemeBtn(theme);
+    }
+
+    function formatDisplayValue(key, value) {
+        const unit = DISPLAY_RANGES[key][3];
+        return `${Number.isInteger(value) ? value : value.toFixed(2).replace(/0$/, '')}${unit}`;
+    }
+
+    function renderDisplayForm(form) {
+        const options = (map, selected) => Object.entries(map).map(([value, label]) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${t(label)}</option>`).join('');
+
+        form.innerHTML = `
+            <label class="display-row">
+                <span>${t('display.theme')}</span>
+                <select name="theme" class="select-input">${options(THEMES, displaySettings.theme)}</select>
+            </label>
+            <label class="display-row">
+                <span>${t('display.font')}</span>
+                <select name="font" class="select-input">${options(READER_FONTS, displaySettings.font)}</select>
+            </label>
+            ${Object.entries(DISPLAY_RANGES).map(([key, [min, max, step]]) => `
+                <label class="display-row">
+                    <span>${t(DISPLAY_LABELS[key])}</span>
+                    <input type="range" name="${key}" min="${min}" max="${max}" step="${step}" value="${displaySettings[key]}">
+                    <output data-for="${key}">${formatDisplayValue(key, displaySettings[key])}</output>
+                </label>`).join('')}
+            <div class="display-actions">
+                <button type="button" class="btn secondary" data-action="reset-display">${t('display.reset')}</button>
+            </div>`;
+    }
+
+    function syncDisplayForms(except = null) {
+        document.querySelectorAll('.display-form').forEach(form => {
+            if (form === except) {
+                form.querySelectorAll('output[data-for]').forEach(out => {
+                    out.textContent = formatDisplayValue(out.dataset.for, displaySettings[out.dataset.for]);
+                });
+            } else {
+                renderDisplayForm(form);
+            }
+        });
+    }
+
+    function setDisplaySettings(next, sourceForm = null) {
+        displaySettings = sanitizeDisplaySettings(next);
+        saveDisplaySettings();
+        applyDisplaySettings();
+        syncDisplayForms(sourceForm);
+    }
+
+    function initTheme() {
+        applyDisplaySettings();
+        syncDisplayForms();
+    }
+
+    // The header button flips between dark and light
+    function toggleTheme() {
+        setDisplaySettings({ ...displaySettings, theme: resolvedTheme() === 'dark' ? 'light' : 'dark' });
+    }
+
+    function updateThemeBtn(theme) {
+        const btn = $('theme-btn');
+        if (btn) btn.textContent = THEME_ICONS[theme];
+    }
+
+    $('theme-btn').addEventListener('click', toggleTheme);
+
+    systemDark.addEventListener('change', () => {
+        if (displaySettings.theme === 'auto') applyDisplaySettings();
+    });
+
+    document.querySelectorAll('.display-form').forEach(form => {
+        form.addEventListener('input', (e) => {
+            if (!e.target.name) return;
+            setDisplaySettings({ ...displaySettings, [e.target.name]: e.target.value }, form);
+        });
+        form.addEventListener('submit', e => e.preventDefault());
+        form.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="reset-display"]')) setDisplaySettings(DISPLAY_DEFAULTS);
+        });
+    });
+
+    $('display-settings-btn').addEventListener('click', () => {
+        $('reader-menu').classList.add('hidden');
+        openSheet('sheet-display');
+    });
+
+    // ================================================================
+    //  TEMPLATE PARSER
+    // ================================================================
+    // Format:
+    //   ### 1. Title: [title]
+    //   ### 2. English Short Story
+    //   [English body text — bold **words** are vocabulary]
+    //   ### 3. 重要単語ピックアップ
+    //   * **Word**: meaning
+    //   ### 4. 日本語訳
+    //   [translation text]
+    //
+    // Numbered headers 1–4 always set the section. Unnumbered headers are
+    // recognised by their wording instead, so `### Vocabulary` or
+    // `### Traduction française` work as well. A template profile holds
+    // the vocab/translation header wording for one language; the profile
+    // that matches is reported and sets the chapter's `translationLang`
+    // (the language of the translation and of the vocab meanings).
+
+    // Shared by every profile: the title and the English story headers
+    const TITLE_HEADER = /^(?:title|titre|t[ií]tulo|titel|タイトル|标题|標題|제목)(?:\s*[:：]\s*|\s+|$)/i;
+    const ENGLISH_HEADER = /english|anglais|ingl[eé]s|englisch|英語|英文|영어|story/i;
+    const SECTION_HEADER = /^#{2,3}(?!#)\s*(?:(\d+)\s*[.)]\s*)?(.+)$/;
+    const NUMBERED_SECTIONS = [null, 'title', 'english', 'vocab', 'translation'];
+
+    // Matched in order, so the generic English-header profile comes last
+    const TEMPLATE_PROFILES = {
+        ja: {
+            label: '日本語',
+            lang: 'ja',
+            vocab: /単語|語彙/,
+            translation: /日本語訳|和訳|翻訳|japanese/i,
+            headers: { vocab: '重要単語ピックアップ', translation: '日本語訳' }
+        },
+        fr: {
+            label: 'Français',
+            lang: 'fr',
+            vocab: /vocabulaire|mots clés/i,
+            translation: /traduction|french/i,
+            headers: { vocab: 'Vocabulaire', translation: 'Traduction française' }
+        },
+        es: {
+            label: 'Español',
+            lang: 'es',
+            vocab: /vocabulario|palabras clave/i,
+            translation: /traducci[oó]n|spanish/i,
+            headers: { vocab: 'Vocabulario', translation: 'Traducción al español' }
+        },
+        de: {
+            label: 'Deutsch',
+            lang: 'de',
+            vocab: /wortschatz|vokabeln/i,
+            translation: /übersetzung|german/i,
+            headers: { vocab: 'Wortschatz', translation: 'Deutsche Übersetzung' }
+        },
+        zh: {
+            label: '中文',
+            lang: 'zh',
+            vocab: /词汇|詞彙|生词|生詞|单词|單詞/,
+            translation: /翻译|翻譯|译文|譯文|中文|chinese/i,
+            headers: { vocab: '重点词汇', translation: '中文翻译' }
+        },
+        ko: {
+            label: '한국어',
+            lang: 'ko',
+            vocab: /단어|어휘/,
+            translation: /번역|해석|korean/i,
+            headers: { vocab: '주요 단어', translation: '한국어 번역' }
+        },
+        en: {
+            label: 'English',
+            lang: null,
+            vocab: /vocabulary|key words|glossary/i,
+            translation: /translation/i,
+            headers: { vocab: 'Vocabulary', translation: 'Translation' }
+        }
+    };
+
+    // Profile key whose `role` pattern matches a header, or null
+    function matchProfile(role, text) {
+        return Object.keys(TEMPLATE_PROFILES).find(key => TEMPLATE_PROFILES[key][role].test(text)) || null;
+    }
+
+    function templateProfileFor(lang) {
+        return Object.values(TEMPLATE_PROFILES).find(p => p.lang === lang) || TEMPLATE_PROFILES.en;
+    }
+
+    // Fallback for templates whose headers name no language
+    function scriptLanguage(text) {
+        if (/[\u3040-\u30ff]/.test(text)) return 'ja';
+        if (/[\uac00-\ud7af]/.test(text)) return 'ko';
+        if (/[\u4e00-\u9fff]/.test(text)) return 'zh';
+        return null;
+    }
+
+    function parseTemplate(text) {
+        return analyzeTemplate(text).chapter;
+    }
+
+    // Parses a template and reports what was found along the way:
+    //   sections     — 1-based line number of each section header found
+    //   profile      — key of the detected TEMPLATE_PROFILES entry, or null
+    //   skippedVocab — vocab-section lines that didn't match `* **Word**: meaning`
+    //   errors       — problems that prevent saving (chapter is null)
+    //   warnings     — problems that still produce a chapter
+    function analyzeTemplate(text) {
+        const lines = text.split('\n');
+        let title = '';
+        let englishBody = '';
+        let vocabItems = [];
+        let translationText = '';
+        let currentSection = null;
+        const sections = {};
+        const profiles = { vocab: null, translation: null };
+        const skippedVocab = [];
+        const errors = [];
+        const warnings = [];
+
+        const enterSection = (name, lineIndex) => {
+            currentSection = name;
+            if (!sections[name]) sections[name] = lineIndex + 1;
+        };
+
+        // Numbered headers name their section outright; unnumbered ones only
+        // open a section not seen yet, and a title only comes first
+        const headerSection = (number, content) => {
+            if (number) return NUMBERED_SECTIONS[parseInt(number)] || null;
+            if (TITLE_HEADER.test(content)) return Object.keys(sections).length === 0 ? 'title' : null;
+            const role = ['vocab', 'translation'].find(r => matchProfile(r, content)) ||
+                (ENGLISH_HEADER.test(content) ? 'english' : null);
+            return role && !sections[role] ? role : null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const trimmed = line.trim();
+
+            const headerMatch = trimmed.match(SECTION_HEADER);
+            const section = headerMatch && headerSection(headerMatch[1], headerMatch[2].trim());
+            if (section) {
+                const content = headerMatch[2].trim();
+                if (section === 'title') {
+                    // "Title: XXX", or a bare "Title" with the title on the next line
+                    title = TITLE_HEADER.test(content) ? content.replace(TITLE_HEADER, '').trim() : content;
+                } else if (section in profiles && !profiles[section]) {
+                    profiles[section] = matchProfile(section, content);
+                }
+                enterSection(section, i);
+                continue;
+            }
+
+            // Collect content based on current section
+            if (currentSection === 'title') {
+                // Lines after title header but before next section → treat as title continuation
+                if (trimmed && !title) {
+                    title = trimmed;
+                }
+            } else if (currentSection === 'english') {
+                englishBody += line + '\n';
+            } else if (currentSection === 'vocab') {
+                // Parse * **Word**: meaning   or   - **Word**: meaning
+                const vocabMatch = trimmed.match(/^[\*\-]\s*\*\*(.+?)\*\*[:\s：]+(.+)/);
+                if (vocabMatch) {
+                    vocabItems.push({
+                        word: vocabMatch[1].trim(),
+                        meaning: vocabMatch[2].trim()
+                    });
+                } else if (trimmed) {
+                    skippedVocab.push({ line: i + 1, text: trimmed });
+                }
+            } else if (currentSection === 'translation') {
+                // Skip sub-headers like "### タイトル：XXX"
+                if (trimmed.match(/^#{2,3}\s/)) {
+                    // Extract as translation subtitle
+                    const subTitle = trimmed.replace(/^#{2,3}\s*/, '').replace(TITLE_HEADER, '');
+                    if (subTitle) {
+                        translationText += `**${subTitle}**\n\n`;
+                    }
+                    continue;
+                }
+                translationText += line + '\n';
+            }
+        }
+
+        // Validate: at minimum we need a title and english body
+        if (!sections.title) errors.push(t('parse.noTitle'));
+        else if (!title) errors.push(t('parse.emptyTitle', { line: sections.title }));
+        if (!sections.english) errors.push(t('parse.noEnglish'));
+        else if (!englishBody.trim()) errors.push(t('parse.emptyEnglish', { line: sections.english }));
+
+        if (!sections.vocab) warnings.push(t('parse.noVocab'));
+        else if (vocabItems.length === 0) warnings.push(t('parse.vocabEmpty'));
+        skippedVocab.forEach(s => {
+            warnings.push(t('parse.skippedVocab', { line: s.line, text: s.text }));
+        });
+
+        if (!sections.translation) warnings.push(t('parse.noTranslation'));
+        else if (!translationText.trim()) warnings.push(t('parse.emptyTranslation', { line: sections.translation }));
+
+        const unmatched = [...englishBody.matchAll(/\*\*(.+?)\*\*/g)]
+            .map(m => m[1])
+            .filter(word => vocabItems.length > 0 && findVocabEntry(word, vocabItems) === -1);
+        if (unmatched.length > 0) {
+            warnings.push(t('parse.unmatchedBold', { words: [...new Set(unmatched)].join(', ') }));
+        }
+
+        // The translation header names the language best; vocab meanings
+        // are in the same language, so their header is the next best hint
+        const profile = profiles.translation || profiles.vocab;
+        const translationLang = (profile && TEMPLATE_PROFILES[profile].lang) ||
+            scriptLanguage(translationText + vocabItems.map(v => v.meaning).join(' '));
+
+        const chapter = errors.length > 0 ? null : {
+            title: title,
+            english: englishBody.trim(),
+            vocab: vocabItems,
+            translation: translationText.trim(),
+            translationLang
+        };
+
+        return { chapter, sections, profile, skippedVocab, errors, warnings };
+    }
+
+    // Splits pasted text holding several templates into one string per
+    // template, starting a new block at each title header ("### 1." or an
+    // unnumbered "### Title: …"). An unnumbered title right after another
+    // header is a translation subtitle, not a new template.
+    function splitTemplates(text) {
+        const blocks = [];
+        let current = [];
+
+        const startsTemplate = (line) => {
+            const match = line.trim().match(SECTION_HEADER);
+            if (!match) return false;
+            if (match[1]) return match[1] === '1';
+            const previous = current.filter(l => l.trim()).pop();
+            return TITLE_HEADER.test(match[2]) && !(previous && SECTION_HEADER.test(previous.trim()));
+        };
+
+        text.split('\n').forEach(line => {
+            if (startsTemplate(line) && current.some(l => l.trim())) {
+                blocks.push(current.join('\n'));
+                current = [];
+            }
+            current.push(line);
+        });
+        blocks.push(current.join('\n'));
+
+        return blocks.map(b => b.trim()).filter(Boolean);
+    }
+
+    function buildTemplate(profile, title, english, vocabLines, translation) {
+        return [
+            `### 1. Title: ${title}`,
+            '### 2. English Short Story',
+            english,
+            `### 3. ${profile.headers.vocab}`,
+            ...vocabLines,
+            `### 4. ${profile.headers.translation}`,
+            translation
+        ].join('\n').trim();
+    }
+
+    // Rebuilds template text from a stored chapter, with the headers of its
+    // translation language. Used for chapters saved before the original
+    // text was kept on `chapter.source`.
+    function chapterToTemplate(title, chapter) {
+        const vocabLines = (chapter.vocab || []).map(v => `* **${v.word}**: ${v.meaning}`);
+        return buildTemplate(templateProfileFor(chapter.translationLang), title,
+            chapter.english, vocabLines, chapter.translation || '');
+    }
+
+    // Skeleton shown as the add form's placeholder and format hint
+    function templateExample() {
+        const profile = TEMPLATE_PROFILES[LOCALES[uiLocale].templateProfile];
+        return buildTemplate(profile, t('add.hintTitle'), t('add.hintBody'),
+            [`* **Word**: ${t('add.hintMeaning')}`], t('add.hintTranslation'));
+    }
+
+    // ================================================================
+    //  MARKDOWN → HTML
+    // ================================================================
+    // Templates come from LLM output and backups, so all text is escaped
+    // before any markup is added; the only tags in the result are the ones
+    // generated here. Supported:
+    //   **bold**  *italic*  # headings  - / 1. lists  > quotes  --- rules
+    // and paragraphs opening with a quote mark are styled as dialogue.
+    // Every blank-line-separated block becomes exactly one top-level
+    // element (mixed blocks are wrapped in a div) so paragraphs still line
+    // up with splitParagraphs.
+
+    const MD_LINE_TYPES = [
+        ['hr', /^[ \t]*([-*_])[ \t]*(?:\1[ \t]*){2,}$/],
+        ['heading', /^[ \t]*(#{1,6})\s+(.*)$/],
+        ['ul', /^[ \t]*[-*+]\s+(.*)$/],
+        ['ol', /^[ \t]*\d+[.)]\s+(.*)$/],
+        ['quote', /^[ \t]*>\s?(.*)$/]
+    ];
+
+    function inlineMarkdown(text) {
+        return escapeXml(text)
+            // Bold
+            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+            // Italic (single *)
+            .replace(/(?<!\*)\*([^*]+?)\*(?!\*)/g, '<em>$1</em>');
+    }
+
+    function classifyLine(line) {
+        for (const [type, pattern] of MD_LINE_TYPES) {
+            const m = line.match(pattern);
+            if (m) return { type, m };
+        }
+        return { type: 'text', m: [line, line] };
+    }
+
+    // Consecutive lines of the same kind form a run; headings and rules
+    // always stand alone
+    function markdownRuns(block) {
+        const runs = [];
+        block.split('\n').forEach(line => {
+            const { type, m } = classifyLine(line);
+            const last = runs[runs.length - 1];
+            if (last && last.type === type && type !== 'heading' && type !== 'hr') {
+                last.lines.push(m);
+            } else {
+                runs.push({ type, lines: [m] });
+            }
+        });
+        return runs;
+    }
+
+    function renderRun({ type, lines }) {
+        switch (type) {
+            case 'hr':
+                return '<hr>';
+            case 'heading': {
+                // h1 is the story title, so "#" maps to h2
+                const level = Math.min(6, lines[0][1].length + 1);
+                return `<h${level}>${inlineMarkdown(lines[0][2].trim())}</h${level}>`;
+            }
+            case 'ul':
+            case 'ol':
+                return `<${type}>${lines.map(m => `<li>${inlineMarkdown(m[1].trim())}</li>`).join('')}</${type}>`;
+            case 'quote':
+                return `<blockquote><p>${lines.map(m => inlineMarkdown(m[1].trim())).join('<br>')}</p></blockquote>`;
+            default: {
+                const text = lines.map(m => m[1].trim()).join('\n').trim();
+                const dialogue = /^["“「『]|^— /.test(text);
+                return `<p${dialogue ? ' class="dialogue"' : ''}>${inlineMarkdown(text).replace(/\n/g, '<br>')}</p>`;
+            }
+        }
+    }
+
+    function markdownToHtml(text) {
+        if (!text) return '';
+
+        return splitParagraphs(text).map(block => {
+            const runs = markdownRuns(block);
+            const html = runs.map(renderRun).join('');
+            return runs.length > 1 ? `<div class="md-group">${html}</div>` : html;
+        }).join('\n');
+    }
+
+    // Paragraph boundaries as markdownToHtml sees them, so raw paragraphs
+    // line up one-to-one with the rendered <p> elements.
+    function splitParagraphs(text) {
+        if (!text) return [];
+        return text.split(/\n{2,}/).map(para => para.trim());
+    }
+
+    // ================================================================
+    //  VOCAB LOOKUP
+    // ================================================================
+    // Bold words in the story are often inflected ("running", "Ran",
+    // "bakeries") while the vocab list holds the base form ("run",
+    // "bakery"), so both sides are expanded into candidate forms and
+    // compared token by token.
+
+    const IRREGULAR_FORMS = {
+        am: 'be', is: 'be', are: 'be', was: 'be', were: 'be', been: 'be',
+        has: 'have', had: 'have', did: 'do', does: 'do', done: 'do',
+        went: 'go', gone: 'go', ran: 'run', came: 'come', saw: 'see', seen: 'see',
+        took: 'take', taken: 'take', gave: 'give', given: 'give', got: 'get', gotten: 'get',
+        made: 'make', said: 'say', told: 'tell', thought: 'think', brought: 'bring',
+        bought: 'buy', caught: 'catch', taught: 'teach', felt: 'feel', kept: 'keep',
+        left: 'leave', met: 'meet', found: 'find', held: 'hold', stood: 'stand',
+        understood: 'understand', knew: 'know', known: 'know', grew: 'grow', grown: 'grow',
+        threw: 'throw', thrown: 'throw', wrote: 'write', written: 'write', spoke: 'speak',
+        spoken: 'speak', broke: 'break', broken: 'break', chose: 'choose', chosen: 'choose',
+        fell: 'fall', fallen: 'fall', forgot: 'forget', forgotten: 'forget', began: 'begin',
+        begun: 'begin', drank: 'drink', drunk: 'drink', swam: 'swim', sang: 'sing',
+        sung: 'sing', rose: 'rise', risen: 'rise', hid: 'hide', hidden: 'hide',
+        lay: 'lie', lain: 'lie', sought: 'seek', fought: 'fight', slept: 'sleep',
+        swept: 'sweep', wept: 'weep', crept: 'creep', dealt: 'deal', meant: 'mean',
+        sent: 'send', spent: 'spend', built: 'build', lost: 'lose', paid: 'pay',
+        laid: 'lay', led: 'lead', fed: 'feed', fled: 'flee', shook: 'shake', woke: 'wake',
+        children: 'child', men: 'man', women: 'woman', feet: 'foot', teeth: 'tooth',
+        mice: 'mouse', people: 'person', better: 'good', best: 'good', worse: 'bad', worst: 'bad'
+    };
+
+    function normalizeWord(text) {
+        return text
+            .toLowerCase()
+            .replace(/[’‘]/g, "'")
+            .replace(/^[^a-z0-9']+|[^a-z0-9']+$/g, '');
+    }
+
+    // Returns the word itself plus plausible base forms for common
+    // English inflections. Over-generating is fine: a candidate only
+    // matters if it also appears among the vocab entry's forms.
+    function wordForms(word) {
+        const w = normalizeWord(word).replace(/'s$/, '');
+        const forms = new Set([w]);
+        if (!w) return forms;
+
+        if (IRREGULAR_FORMS[w]) forms.add(IRREGULAR_FORMS[w]);
+
+        const addStem = stem => {
+            if (stem.length < 2) return;
+            forms.add(stem);
+            forms.add(stem + 'e');
+            // running → runn → run, stopped → stopp → stop
+            if (/([b-df-hj-np-tv-z])\1$/.test(stem)) forms.add(stem.slice(0, -1));
+        };
+
+        if (w.endsWith('ies')) forms.add(w.slice(0, -3) + 'y');
+        if (w.endsWith('ied')) forms.add(w.slice(0, -3) + 'y');
+        if (w.endsWith('es')) forms.add(w.slice(0, -2));
+        if (w.endsWith('s') && !w.endsWith('ss')) forms.add(w.slice(0, -1));
+        if (w.endsWith('ing')) addStem(w.slice(0, -3));
+        if (w.endsWith('ed')) addStem(w.slice(0, -2));
+        if (w.endsWith('er')) addStem(w.slice(0, -2));
+        if (w.endsWith('est')) addStem(w.slice(0, -3));
+        if (w.endsWith('ly')) forms.add(w.slice(0, -2));
+        if (w.endsWith('ily')) forms.add(w.slice(0, -3) + 'y');
+
+        return forms;
+    }
+
+    function tokenize(text) {
+        return text.split(/[\s\-]+/).map(normalizeWord).filter(Boolean);
+    }
+
+    function tokensMatch(a, b) {
+        const formsB = wordForms(b);
+        for (const form of wordForms(a)) {
+            if (formsB.has(form)) return true;
+        }
+        return false;
+    }
+
+    // A vocab entry may list alternatives or notes, e.g. "run (v.)" or
+    // "look up / look into" — each alternative is tried separately.
+    function vocabAlternatives(entryWord) {
+        return entryWord
+            .replace(/[(（][^)）]*[)）]/g, '')
+            .split(/[\/／,、]/)
+            .map(alt => alt.trim())
+            .filter(Boolean);
+    }
+
+    function findVocabEntry(text, vocab) {
+        if (!vocab || vocab.length === 0) return -1;
+        const target = tokenize(text);
+        if (target.length === 0) return -1;
+
+        // Exact (case-insensitive) match wins over an inflected one
+        const exact = vocab.findIndex(v =>
+            vocabAlternatives(v.word).some(alt => tokenize(alt).join(' ') === target.join(' '))
+        );
+        if (exact !== -1) return exact;
+
+        return vocab.findIndex(v =>
+            vocabAlternatives(v.word).some(alt => {
+                const tokens = tokenize(alt);
+                return tokens.length === target.length &&
+                    tokens.every((t, i) => tokensMatch(t, target[i]));
+            })
+        );
+    }
+
+    // ================================================================
+    //  STORY LIST RENDERING
+    // ================================================================
+
+    function renderStoryList() {
+        const container = $('story-list');
+        renderReviewBanner();
+        renderSearchResults();
+
+        if (stories.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">📚</div>
+                    <p>${t('list.empty')}</p>
+                    <p class="empty-sub">${t('list.emptySub')}</p>
+                </div>`;
+            return;
+        }
+
+        renderFilterChips();
+        const sortedStories = filterStories(stories).sort(STORY_SORTS[listSort].compare);
+
+        if (sortedStories.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🏷️</div>
+                    <p>${t('list.noMatch')}</p>
+                </div>`;
+            return;
+        }
+
+        container.innerHTML = sortedStories.map(story => {
+            const chapterCount = story.chapters.length;
+            const dateStr = formatDate(story.updatedAt, { month: 'short', day: 'numeric' });
+            const progress = getReadingProgress(story);
+            const progressHtml = progress ? `
+                    <div class="story-card-progress">
+                        <span>Ch. ${progress.chapterIndex + 1}/${chapterCount} · ${progress.percent}%</span>
+                        <div class="progress-bar"><div style="width:${progress.percent}%"></div></div>
+                    </div>` : '';
+            return `
+                <div class="story-card" data-id="${escapeHtml(story.id)}">
+                    <div class="story-card-title">${escapeHtml(story.title)}</div>
+                    <div class="story-card-meta">
+                        <span class="chapter-badge">${t('list.chapters', { count: chapterCount })}</span>
+                        <span>${dateStr}</span>
+                    </div>${renderStoryLabels(story)}${progressHtml}
+                </div>`;
+        }).join('');
+
+        // Click handlers
+        container.querySelectorAll('.story-card').forEach(card => {
+            card.addEventListener('click', () => {
+                openReader(card.dataset.id);
+            });
+        });
+    }
+
+    // ================================================================
+    //  TAGS, COLLECTIONS & SORTING
+    // ================================================================
+    // A story has free-form `tags` (several) and an optional `collection`
+    // (one series it belongs to). Selected tag chips narrow the list with
+    // AND; a selected collection chip shows only that series.
+
+    const STORY_SORTS = {
+        updated: { label: 'sort.updated', compare: (a, b) => b.updatedAt - a.updatedAt },
+        title: { label: 'sort.title', compare: (a, b) => a.title.localeCompare(b.title, uiLocale, { numeric: true }) },
+        created: { label: 'sort.created', compare: (a, b) => (b.createdAt || 0) - (a.createdAt || 0) },
+        lastRead: {
+            label: 'sort.lastRead',
+            compare: (a, b) => lastReadAt(b) - lastReadAt(a)
+        },
+        chapters: { label: 'sort.chapters', compare: (a, b) => b.chapters.length - a.chapters.length }
+    };
+
+    let listSort = localStorage.getItem('storyReader_listSort') || 'updated';
+    if (!STORY_SORTS[listSort]) listSort = 'updated';
+    const activeFilters = { tags: new Set(), collection: null };
+
+    function parseTags(text) {
+        return [...new Set(text.split(/[,、，]/).map(t => t.trim()).filter(Boolean))];
+    }
+
+    function sanitizeTags(tags) {
+        return Array.isArray(tags) ? [...new Set(tags.filter(t => typeof t === 'string' && t.trim()).map(t => t.trim()))] : [];
+    }
+
+    function getAllTags() {
+        return [...new Set(stories.flatMap(s => s.tags || []))].sort((a, b) => a.localeCompare(b, uiLocale));
+    }
+
+    function getAllCollections() {
+        return [...new Set(stories.map(s => s.collection).filter(Boolean))].sort((a, b) => a.localeCompare(b, uiLocale));
+    }
+
+    function filterStories(list) {
+        return list.filter(story => {
+            if (activeFilters.collection && story.collection !== activeFilters.collection) return false;
+            const tags = story.tags || [];
+            return [...activeFilters.tags].every(tag => tags.includes(tag));
+        });
+    }
+
+    function renderStoryLabels(story) {
+        const labels = [
+            story.collection && `<span class="story-label collection">📚 ${escapeHtml(story.collection)}</span>`,
+            ...(story.tags || []).map(tag => `<span class="story-label">#${escapeHtml(tag)}</span>`)
+        ].filter(Boolean);
+        return labels.length > 0 ? `<div class="story-card-labels">${labels.join('')}</div>` : '';
+    }
+
+    function renderFilterChips() {
+        const tags = getAllTags();
+        const collections = getAllCollections();
+
+        // Drop filters whose tag or collection no longer exists
+        activeFilters.tags.forEach(tag => { if (!tags.includes(tag)) activeFilters.tags.delete(tag); });
+        if (activeFilters.collection && !collections.includes(activeFilters.collection)) activeFilters.collection = null;
+
+        const noFilter = activeFilters.tags.size === 0 && !activeFilters.collection;
+        const chip = (type, value, label, active) =>
+            `<button class="filter-chip ${active ? 'active' : ''}" data-type="${type}" data-value="${escapeHtml(value)}">${label}</button>`;
+
+        $('filter-chips').innerHTML = tags.length + collections.length === 0 ? '' : [
+            chip('all', '', t('list.all'), noFilter),
+            ...collections.map(c => chip('collection', c, `📚 ${escapeHtml(c)}`, activeFilters.collection === c)),
+            ...tags.map(tag => chip('tag', tag, `#${escapeHtml(tag)}`, activeFilters.tags.has(tag)))
+        ].join('');
+        $('list-sort').value = listSort;
+    }
+
+    $('filter-chips').addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (!chip) return;
+        const { type, value } = chip.dataset;
+
+        if (type === 'all') {
+            activeFilters.tags.clear();
+            activeFilters.collection = null;
+        } else if (type === 'collection') {
+            activeFilters.collection = activeFilters.collection === value ? null : value;
+        } else if (activeFilters.tags.has(value)) {
+            activeFilters.tags.delete(value);
+        } else {
+            activeFilters.tags.add(value);
+        }
+        renderStoryList();
+    });
+
+    function renderSortOptions() {
+        $('list-sort').innerHTML = Object.entries(STORY_SORTS)
+            .map(([key, sort]) => `<option value="${key}">${t(sort.label)}</option>`)
+            .join('');
+        $('list-sort').value = listSort;
+    }
+
+    $('list-sort').addEventListener('change', (e) => {
+        listSort = e.target.value;
+        localStorage.setItem('storyReader_listSort', listSort);
+        renderStoryList();
+    });
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // String-only escaping, valid in both HTML and XHTML (EPUB) output
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ================================================================
+    //  SEARCH
+    // ================================================================
+    // Plain substring matching over NFKC-normalized, lower-cased text, so
+    // Japanese (no word spaces) and full-/half-width variants match. The
+    // normalized string keeps a map back to original offsets for snippets.
+
+    const SEARCH_FIELDS = { english: 'search.english', translation: 'search.translation', vocab: 'search.vocab' };
+    const SNIPPET_RADIUS = 40;
+
+    let searchTimer = null;
+
+    function normalizeForSearch(text) {
+        let norm = '';
+        const map = [];
+        for (let i = 0; i < text.length;) {
+            const ch = String.fromCodePoint(text.codePointAt(i));
+            const n = ch.normalize('NFKC').toLowerCase();
+            for (let k = 0; k < n.length; k++) map.push(i);
+            norm += n;
+            i += ch.length;
+        }
+        map.push(text.length);
+        return { norm, map };
+    }
+
+    function normalizeQuery(query) {
+        return query.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    // All [start, end) ranges of the query in the original text
+    function findMatches(text, query) {
+        const { norm, map } = normalizeForSearch(text);
+        const ranges = [];
+        let from = 0;
+        let index;
+        while (query && (index = norm.indexOf(query, from)) !== -1) {
+            const end = index + query.length;
+            ranges.push([map[index], Math.max(map[end], map[end - 1] + 1)]);
+            from = end;
+        }
+        return ranges;
+    }
+
+    function stripMarkdown(text) {
+        return (text || '')
+            .replace(/\*\*(.+?)\*\*/g, '$1')
+            .replace(/(?<!\*)\*([^*]+?)\*(?!\*)/g, '$1');
+    }
+
+    function makeSnippet(text, [start, end]) {
+        const from = Math.max(0, start - SNIPPET_RADIUS);
+        const to = Math.min(text.length, end + SNIPPET_RADIUS);
+        const clean = t => escapeHtml(t.replace(/\s+/g, ' '));
+        return (from > 0 ? '…' : '') +
+            clean(text.slice(from, start)) +
+            `<mark>${clean(text.slice(start, end))}</mark>` +
+            clean(text.slice(end, to)) +
+            (to < text.length ? '…' : '');
+    }
+
+    function searchStories(rawQuery) {
+        const query = normalizeQuery(rawQuery);
+        if (!query) return [];
+        const results = [];
+
+        stories.forEach(story => {
+            const titleHit = findMatches(story.title, query);
+            if (titleHit.length > 0) {
+                results.push({ story, chapterIndex: null, field: 'title', snippet: makeSnippet(story.title, titleHit[0]), count: 1 });
+            }
+
+            story.chapters.forEach((chapter, chapterIndex) => {
+                const fields = {
+                    english: stripMarkdown(chapter.english),
+                    translation: stripMarkdown(chapter.translation),
+                    vocab: (chapter.vocab || []).map(v => `${v.word}: ${v.meaning}`).join('\n')
+                };
+                let first = null;
+                let count = 0;
+                Object.keys(fields).forEach(field => {
+                    const hits = findMatches(fields[field], query);
+                    count += hits.length;
+                    if (hits.length > 0 && !first) {
+                        first = { field, snippet: makeSnippet(fields[field], hits[0]) };
+                    }
+                });
+                if (first) results.push({ story, chapterIndex, ...first, count });
+            });
+        });
+
+        return results;
+    }
+
+    function renderSearchResults() {
+        const rawQuery = $('search-input').value;
+        const container = $('search-results');
+        const active = normalizeQuery(rawQuery) !== '';
+
+        $('story-list').classList.toggle('hidden', active);
+        container.classList.toggle('hidden', !active);
+        if (!active) return;
+
+        const results = searchStories(rawQuery);
+        if (results.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🔍</div>
+                    <p>${t('search.none')}</p>
+                </div>`;
+            return;
+        }
+
+        container.innerHTML = `<p class="search-count">${t('search.count', { count: results.length })}</p>` + results.map((r, i) => {
+            const location = r.chapterIndex === null
+                ? t('search.title')
+                : `Ch. ${r.chapterIndex + 1} · ${t(SEARCH_FIELDS[r.field])}${r.count > 1 ? ` · ${t('search.count', { count: r.count })}` : ''}`;
+            return `
+                <div class="story-card search-result" data-result="${i}">
+                    <div class="story-card-title">${escapeHtml(r.story.title)}</div>
+                    <div class="search-location">${location}</div>
+                    <div class="search-snippet">${r.snippet}</div>
+                </div>`;
+        }).join('');
+
+        container.querySelectorAll('.search-result').forEach(card => {
+            card.addEventListener('click', () => {
+                const r = results[parseInt(card.dataset.result)];
+                if (r.chapterIndex === null) {
+                    openReader(r.story.id);
+                } else {
+                    openReader(r.story.id, r.chapterIndex);
+                    showSearchHit(rawQuery, r.field);
+                }
+            });
+        });
+    }
+
+    // Highlights the query in the opened chapter and brings the first hit
+    // into view, opening the sheet that holds it when it isn't in the text.
+    function showSearchHit(rawQuery, field) {
+        const query = normalizeQuery(rawQuery);
+        const inText = highlightQuery($('reader-text'), query);
+        highlightQuery($('translation-content'), query);
+        highlightQuery($('vocab-content'), query);
+
+        if (field === 'english' || (field === 'translation' && inText > 0)) {
+            const first = $('reader-text').querySelector('mark.search-hit');
+            if (first) requestAnimationFrame(() => first.scrollIntoView({ block: 'center' }));
+        } else {
+            openSheet(field === 'vocab' ? 'sheet-vocab' : 'sheet-translation');
+        }
+    }
+
+    function highlightQuery(container, query) {
+        const ranges = findMatches(container.textContent, query);
+        // Wrap from the end so earlier offsets stay valid
+        ranges.reverse().forEach(([start, end]) => {
+            wrapTextRange(container, start, end, () => {
+                const mark = document.createElement('mark');
+                mark.className = 'search-hit';
+                return mark;
+            });
+        });
+        return ranges.length;
+    }
+
+    $('search-input').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(renderSearchResults, 200);
+    });
+
+    // ================================================================
+    //  READER
+    // ================================================================
+
+    let currentStoryId = null;
+    let currentChapterIndex = 0;
+
+    // Marks translated text with its language so fonts and screen readers match it
+    function langAttr(chapter) {
+        return chapter.translationLang ? ` lang="${escapeHtml(chapter.translationLang)}"` : '';
+    }
+
+    // Opens a story at the given chapter, or where the reader left off
+    function openReader(storyId, chapterIndex = null) {
+        const story = stories.find(s => s.id === storyId);
+        if (!story) return;
+
+        currentStoryId = storyId;
+
+        let scrollRatio = 0;
+        if (chapterIndex !== null) {
+            currentChapterIndex = chapterIndex;
+        } else {
+            const progress = getReadingProgress(story);
+            currentChapterIndex = progress ? progress.chapterIndex : 0;
+            scrollRatio = progress ? progress.scroll : 0;
+        }
+
+        navigateTo('view-reader');
+        renderChapter(scrollRatio);
+    }
+
+    function renderChapter(scrollRatio = 0) {
+        const story = stories.find(s => s.id === currentStoryId);
+        if (!story) return;
+
+        const chapter = story.chapters[currentChapterIndex];
+        if (!chapter) return;
+
+        // Title
+        $('reader-title').textContent = story.title;
+
+        // Chapter info
+        const totalChapters = story.chapters.length;
+        if (totalChapters > 1) {
+            $('reader-chapter-info').textContent = `Ch. ${currentChapterIndex + 1} / ${totalChapters}`;
+        } else {
+            $('reader-chapter-info').textContent = '';
+        }
+
+        // English text (with translation, depending on reader mode)
+        renderReaderText(chapter);
+        decorateReaderText(chapter);
+        hideVocabPopover();
+        startReadingSession(story, chapter);
+        updateRoute(true);
+
+        // Vocabulary
+        const vocabContainer = $('vocab-content');
+        if (chapter.vocab && chapter.vocab.length > 0) {
+            vocabContainer.innerHTML = chapter.vocab.map(v => `
+                <div class="vocab-item">
+                    <span class="vocab-word">${escapeHtml(v.word)}</span>
+                    <span class="vocab-meaning">${inlineMarkdown(v.meaning)}</span>
+                    ${speechEngine.available ? `<button class="vocab-speak" data-word="${escapeHtml(v.word)}" aria-label="${t('tts.speakWord')}">🔊</button>` : ''}
+                </div>
+            `).join('');
+        } else {
+            vocabContainer.innerHTML = `<p style="color:var(--text-muted);padding:1rem 0;">${t('reader.noVocab')}</p>`;
+        }
+
+        // Translation
+        const transContainer = $('translation-content');
+        if (chapter.translation) {
+            transContainer.innerHTML = `<div class="translation-text"${langAttr(chapter)}>${markdownToHtml(chapter.translation)}</div>`;
+        } else {
+            transContainer.innerHTML = `<p style="color:var(--text-muted);padding:1rem 0;">${t('reader.noTranslation')}</p>`;
+        }
+
+        // Chapter navigation
+        if (totalChapters > 1) {
+            $('chapter-nav').classList.remove('hidden');
+            $('chapter-indicator').textContent = `${currentChapterIndex + 1} / ${totalChapters}`;
+            $('prev-chapter').disabled = currentChapterIndex === 0;
+            $('next-chapter').disabled = currentChapterIndex === totalChapters - 1;
+        } else {
+            $('chapter-nav').classList.add('hidden');
+        }
+
+        // Scroll to top, or restore the saved position once laid out
+        window.scrollTo(0, 0);
+        requestAnimationFrame(() => {
+            if (scrollRatio > 0) window.scrollTo(0, scrollRatio * getMaxScroll());
+            // A chapter that fits on screen never fires a scroll event
+            checkChapterCompleted();
+        });
+        saveReadingProgress(scrollRatio);
+    }
+
+    // ================================================================
+    //  READING PROGRESS
+    // ================================================================
+    // Kept by story id as { chapterId, scroll, readAt } where scroll is a
+    // 0–1 ratio of the chapter, so it survives font or width changes. It
+    // has its own record so scrolling doesn't rewrite the library.
+
+    let readingProgress = {}; // Loaded at init
+    let progressSaveTimer = null;
+
+    function saveReadingProgressRecord() {
+        persistValue('storyReader_progress', readingProgress).catch(handleStorageError);
+    }
+
+    function lastReadAt(story) {
+        const progress = readingProgress[story.id];
+        return (progress && progress.readAt) || 0;
+    }
+
+    // Earlier versions and backups keep progress on the story itself. Moves
+    // it into readingProgress, keeping whichever was read last; returns
+    // whether any story had it.
+    function liftStoryProgress(storyList) {
+        let found = false;
+        storyList.forEach(story => {
+            if (!('progress' in story)) return;
+            const theirs = story.progress;
+            const mine = readingProgress[story.id];
+            if (theirs && typeof theirs.chapterId === 'string' && (!mine || (theirs.readAt || 0) > (mine.readAt || 0))) {
+                readingProgress[story.id] = theirs;
+            }
+            delete story.progress;
+            found = true;
+        });
+        return found;
+    }
+
+    function getMaxScroll() {
+        return Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+    }
+
+    // A page that can't scroll is shown in full
+    function getScrollRatio() {
+        const max = getMaxScroll();
+        return max > 0 ? window.scrollY / max : 1;
+    }
+
+    function checkChapterCompleted() {
+        if (!$('view-reader').classList.contains('active') || getScrollRatio() < CHAPTER_DONE_RATIO) return;
+        const story = stories.find(s => s.id === currentStoryId);
+        if (story) markChapterCompleted(story, story.chapters[currentChapterIndex]);
+    }
+
+    function getReadingProgress(story) {
+        const progress = readingProgress[story.id];
+        if (!progress || story.chapters.length === 0) return null;
+        const chapterIndex = story.chapters.findIndex(c => c.id === progress.chapterId);
+        if (chapterIndex === -1) return null;
+
+        const scroll = Math.min(1, Math.max(0, progress.scroll || 0));
+        const percent = Math.round((chapterIndex + scroll) / story.chapters.length * 100);
+        return { chapterIndex, scroll, percent };
+    }
+
+    function saveReadingProgress(scrollRatio) {
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        if (!chapter) return;
+
+        readingProgress[story.id] = {
+            chapterId: chapter.id,
+            scroll: Math.round(scrollRatio * 1000) / 1000,
+            readAt: Date.now()
+        };
+        saveReadingProgressRecord();
+    }
+
+    // Debounced so scrolling doesn't rewrite storage on every frame
+    window.addEventListener('scroll', () => {
+        if (!$('view-reader').classList.contains('active')) return;
+        clearTimeout(progressSaveTimer);
+        progressSaveTimer = setTimeout(() => {
+            if (!$('view-reader').classList.contains('active')) return;
+            saveReadingProgress(getScrollRatio());
+            checkChapterCompleted();
+        }, 400);
+    }, { passive: true });
+
+    // ================================================================
+    //  READING STATISTICS
+    // ================================================================
+    // Kept in the `values` store as
+    //   { days:     { 'YYYY-MM-DD': { ms, words, chapters } },
+    //     chapters: { [chapterId]: { storyId, ms, completedAt } } }
+    // Time counts only while the reader is open and the page visible, and
+    // stops after IDLE_LIMIT_MS without scrolling, tapping or typing.
+
+    const CHAPTER_DONE_RATIO = 0.95;
+    const IDLE_LIMIT_MS = 3 * 60 * 1000;
+    const STREAK_MIN_MS = 60 * 1000;
+    const HEATMAP_WEEKS = 17;
+
+    let readingStats = { days: {}, chapters: {} }; // Loaded at init
+
+    let readingSession = null; // { storyId, chapterId, since, lastActivity }
+
+    function saveReadingStats() {
+        persistValue('storyReader_stats', readingStats).catch(handleStorageError);
+    }
+
+    function dayKey(ts) {
+        const d = new Date(ts);
+        const pad = n => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+
+    function statsDay(ts) {
+        const key = dayKey(ts);
+        return readingStats.days[key] || (readingStats.days[key] = { ms: 0, words: 0, chapters: 0 });
+    }
+
+    function statsChapter(storyId, chapterId) {
+        return readingStats.chapters[chapterId] ||
+            (readingStats.chapters[chapterId] = { storyId, ms: 0, completedAt: null });
+    }
+
+    function startReadingSession(story, chapter) {
+        endReadingSession();
+        if (document.visibilityState === 'hidden') return;
+        const now = Date.now();
+        readingSession = { storyId: story.id, chapterId: chapter.id, since: now, lastActivity: now };
+    }
+
+    // Books the time since the last flush; `keepOpen` continues the session
+    function flushReadingSession(keepOpen = false) {
+        if (!readingSession) return;
+        const now = Date.now();
+        const until = Math.min(now, readingSession.lastActivity + IDLE_LIMIT_MS);
+        const ms = until - readingSession.since;
+
+        if (ms > 0) {
+            statsChapter(readingSession.storyId, readingSession.chapterId).ms += ms;
+            statsDay(readingSession.since).ms += ms;
+            saveReadingStats();
+        }
+        readingSession = keepOpen ? { ...readingSession, since: now, lastActivity: now } : null;
+    }
+
+    function endReadingSession() {
+        flushReadingSession(false);
+    }
+
+    function noteReadingActivity() {
+        if (!readingSession) return;
+        // Coming back after an idle gap starts a fresh stretch
+        if (Date.now() - readingSession.lastActivity > IDLE_LIMIT_MS) flushReadingSession(true);
+        else readingSession.lastActivity = Date.now();
+    }
+
+    ['scroll', 'pointerdown', 'keydown'].forEach(type => {
+        window.addEventListener(type, noteReadingActivity, { passive: true });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            endReadingSession();
+            return;
+        }
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        if (chapter && $('view-reader').classList.contains('active')) startReadingSession(story, chapter);
+    });
+
+    function markChapterCompleted(story, chapter) {
+        if (!story || !chapter) return;
+        const record = statsChapter(story.id, chapter.id);
+        if (record.completedAt) return;
+
+        record.completedAt = Date.now();
+        const day = statsDay(record.completedAt);
+        day.chapters++;
+        day.words += countWords(chapter.english);
+        saveReadingStats();
+    }
+
+    function countWords(markdown) {
+        return (stripMarkdown(markdown).match(/[A-Za-z0-9][A-Za-z0-9'’-]*/g) || []).length;
+    }
+
+    // Rough vowel-group count; good enough for a readability estimate
+    function countSyllables(word) {
+        const w = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (w.length <= 3) return 1;
+        const groups = w
+            .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+            .replace(/^y/, '')
+            .match(/[aeiouy]{1,2}/g);
+        return Math.max(1, groups ? groups.length : 1);
+    }
+
+    // Flesch reading ease (higher is easier) and vocabulary size
+    function chapterDifficulty(chapter) {
+        const plain = stripMarkdown(chapter.english);
+        const words = plain.match(/[A-Za-z0-9][A-Za-z0-9'’-]*/g) || [];
+        const sentences = Math.max(1, (plain.match(/[^.!?]+[.!?]+(?=\s|$)|[^.!?]+$/g) || []).filter(t => t.trim()).length);
+        const syllables = words.reduce((sum, w) => sum + countSyllables(w), 0);
+        const flesch = words.length === 0 ? null
+            : 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syllables / words.length);
+
+        return {
+            words: words.length,
+            unique: new Set(words.map(normalizeWord)).size,
+            flesch: flesch === null ? null : Math.round(flesch)
+        };
+    }
+
+    function difficultyLabel(flesch) {
+        if (flesch === null) return '—';
+        if (flesch >= 80) return t('stats.easy');
+        if (flesch >= 60) return t('stats.standard');
+        if (flesch >= 40) return t('stats.fairlyHard');
+        return t('stats.hard');
+    }
+
+    function isActiveDay(day) {
+        return !!day && (day.ms >= STREAK_MIN_MS || day.chapters > 0);
+    }
+
+    // Current streak counts back from today (or yesterday, so it doesn't
+    // break before today's reading); best is the longest run on record.
+    function readingStreaks() {
+        const active = new Set(Object.keys(readingStats.days).filter(k => isActiveDay(readingStats.days[k])));
+        const prevDay = key => {
+            const d = new Date(key + 'T00:00:00');
+            d.setDate(d.getDate() - 1);
+            return dayKey(d.getTime());
+        };
+
+        let current = 0;
+        let key = dayKey(Date.now());
+        if (!active.has(key)) key = prevDay(key);
+        while (active.has(key)) {
+            current++;
+            key = prevDay(key);
+        }
+
+        let best = 0;
+        active.forEach(k => {
+            if (active.has(prevDay(k))) return; // not the start of a run
+            let length = 0;
+            let d = new Date(k + 'T00:00:00');
+            while (active.has(dayKey(d.getTime()))) {
+                length++;
+                d.setDate(d.getDate() + 1);
+            }
+            best = Math.max(best, length);
+        });
+
+        return { current, best };
+    }
+
+    function formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return t('stats.minutes', { m: minutes });
+        return t('stats.hours', { h: Math.floor(minutes / 60), m: minutes % 60 });
+    }
+
+    function heatLevel(day) {
+        if (!day || (day.ms === 0 && day.chapters === 0)) return 0;
+        const minutes = day.ms / 60000;
+        if (minutes < 5) return 1;
+        if (minutes < 15) return 2;
+        if (minutes < 30) return 3;
+        return 4;
+    }
+
+    // Columns are weeks (Sunday first), ending with the current week
+    function renderHeatmap() {
+        const end = new Date();
+        end.setHours(0, 0, 0, 0);
+        const start = new Date(end);
+        start.setDate(start.getDate() - end.getDay() - (HEATMAP_WEEKS - 1) * 7);
+
+        const cells = [];
+        for (const d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+            const key = dayKey(d.getTime());
+            const day = readingStats.days[key];
+            const title = day ? t('stats.dayTitle', { date: key, time: formatDuration(day.ms), chapters: day.chapters }) : key;
+            cells.push(`<span class="heat-cell heat-${heatLevel(day)}" title="${title}"></span>`);
+        }
+        return `<div class="heatmap">${cells.join('')}</div>`;
+    }
+
+    function renderStats() {
+        flushReadingSession(true);
+        const days = Object.values(readingStats.days);
+        const totalMs = days.reduce((sum, d) => sum + d.ms, 0);
+        const totalWords = days.reduce((sum, d) => sum + d.words, 0);
+        const totalChapters = days.reduce((sum, d) => sum + d.chapters, 0);
+        const streaks = readingStreaks();
+
+        const storyCards = stories.map(story => {
+            const rows = story.chapters.map((chapter, i) => ({ i, chapter, d: chapterDifficulty(chapter) }));
+            const words = rows.reduce((sum, r) => sum + r.d.words, 0);
+            const vocab = story.chapters.reduce((sum, c) => sum + (c.vocab ? c.vocab.length : 0), 0);
+            const scored = rows.filter(r => r.d.flesch !== null);
+            const flesch = scored.length
+                ? Math.round(scored.reduce((sum, r) => sum + r.d.flesch * r.d.words, 0) / Math.max(1, words))
+                : null;
+            const done = story.chapters.filter(c => readingStats.chapters[c.id] && readingStats.chapters[c.id].completedAt).length;
+
+            return `
+                <details class="stats-story">
+                    <summary>
+                        <span class="stats-story-title">${escapeHtml(story.title)}</span>
+                        <span class="stats-story-meta">
+                            ${difficultyLabel(flesch)}${flesch !== null ? ` (${flesch})` : ''} ・
+                            ${t('stats.glossed', { ratio: words ? (vocab / words * 100).toFixed(1) : '0' })} ・
+                            ${t('stats.finished', { done, total: story.chapters.length })}
+                        </span>
+                    </summary>
+                    <table class="stats-table">
+                        <thead><tr><th>Ch.</th><th>${t('stats.words')}</th><th>${t('stats.unique')}</th><th>Flesch</th><th>${t('stats.time')}</th><th></th></tr></thead>
+                        <tbody>${rows.map(({ i, chapter, d }) => {
+                            const record = readingStats.chapters[chapter.id];
+                            return `<tr>
+                                <td>${i + 1}</td>
+                                <td>${d.words}</td>
+                                <td>${d.unique}</td>
+                                <td title="${difficultyLabel(d.flesch)}">${d.flesch === null ? '—' : d.flesch}</td>
+                                <td>${record ? formatDuration(record.ms) : '—'}</td>
+                                <td>${record && record.completedAt ? '✓' : ''}</td>
+                            </tr>`;
+                        }).join('')}</tbody>
+                    </table>
+                </details>`;
+        }).join('');
+
+        $('stats-content').innerHTML = `
+            <div class="stats-summary">
+                <div class="stats-tile"><strong>${streaks.current}</strong><span>${t('stats.streak')}</span></div>
+                <div class="stats-tile"><strong>${streaks.best}</strong><span>${t('stats.best')}</span></div>
+                <div class="stats-tile"><strong>${formatDuration(totalMs)}</strong><span>${t('stats.totalTime')}</span></div>
+                <div class="stats-tile"><strong>${totalChapters}</strong><span>${t('stats.chaptersDone')}</span></div>
+                <div class="stats-tile"><strong>${totalWords.toLocaleString()}</strong><span>${t('stats.wordsRead')}</span></div>
+            </div>
+            <h2 class="stats-heading">${t('stats.calendar')}</h2>
+            ${renderHeatmap()}
+            <h2 class="stats-heading">${t('stats.difficulty')}</h2>
+            <p class="stats-hint">${t('stats.fleschHint')}</p>
+            ${storyCards || `<p class="stats-hint">${t('stats.noStories')}</p>`}`;
+    }
+
+    function openStats() {
+        navigateTo('view-stats');
+        renderStats();
+    }
+
+    $('stats-btn').addEventListener('click', openStats);
+
+    $('stats-back-btn').addEventListener('click', () => {
+        navigateTo('view-list');
+        renderStoryList();
+    });
+
+    // ================================================================
+    //  BILINGUAL READER MODES
+    // ================================================================
+    // english     — English only; tap a paragraph to reveal its translation
+    // interleaved — each English paragraph followed by its translation
+    // parallel    — two columns on wide screens (interleaved when narrow)
+
+    const READER_MODES = ['english', 'interleaved', 'parallel'];
+    let readerMode = localStorage.getItem('storyReader_readerMode') || 'english';
+    if (!READER_MODES.includes(readerMode)) readerMode = 'english';
+
+    // Pairs English and translation paragraphs. The parser turns a
+    // "### タイトル：…" line into a leading bold paragraph, which has no
+    // English counterpart and is set aside as a heading.
+    function alignParagraphs(chapter) {
+        const english = splitParagraphs(chapter.english);
+        let translation = splitParagraphs(chapter.translation);
+        let heading = '';
+
+        if (translation.length === english.length + 1 && /^\*\*[^*]+\*\*$/.test(translation[0])) {
+            heading = translation[0];
+            translation = translation.slice(1);
+        }
+
+        return {
+            english,
+            translation,
+            heading,
+            aligned: translation.length > 0 && translation.length === english.length
+        };
+    }
+
+    function renderReaderText(chapter) {
+        const container = $('reader-text');
+        const { english, translation, heading, aligned } = alignParagraphs(chapter);
+        const hasTranslation = translation.length > 0;
+
+        $('view-reader').dataset.readerMode = readerMode;
+        container.classList.toggle('bilingual', readerMode !== 'english' && hasTranslation);
+        container.classList.toggle('parallel', readerMode === 'parallel' && hasTranslation);
+        container.classList.toggle('tap-translate', readerMode === 'english' && aligned);
+
+        if (readerMode === 'english' || !hasTranslation) {
+            container.innerHTML = markdownToHtml(chapter.english);
+            if (aligned) {
+                container.querySelectorAll(':scope > *').forEach((block, i) => { block.dataset.para = i; });
+            }
+            return;
+        }
+
+        const lang = langAttr(chapter);
+        const headingHtml = heading
+            ? `<div class="para-pair"><div></div><div class="para-ja"${lang}>${markdownToHtml(heading)}</div></div>`
+            : '';
+
+        if (aligned) {
+            container.innerHTML = headingHtml + english.map((para, i) => `
+                <div class="para-pair">
+                    <div class="para-en">${markdownToHtml(para)}</div>
+                    <div class="para-ja"${lang}>${markdownToHtml(translation[i])}</div>
+                </div>`).join('');
+            return;
+        }
+
+        // Paragraph counts differ: show both texts whole, side by side
+        // (parallel) or one after the other (interleaved), with a notice.
+        container.innerHTML = `
+            <p class="align-notice">${t('reader.alignNotice', { english: english.length, translation: translation.length + (heading ? 1 : 0) })}</p>
+            <div class="para-pair unaligned">
+                <div class="para-en">${markdownToHtml(chapter.english)}</div>
+                <div class="para-ja"${lang}>${markdownToHtml(chapter.translation)}</div>
+            </div>`;
+    }
+
+    function toggleParagraphTranslation(p) {
+        if (!p || readerMode !== 'english') return;
+        // Don't treat the end of a text selection as a tap
+        const selection = window.getSelection();
+        if (selection && !selection.isCollapsed) return;
+
+        const next = p.nextElementSibling;
+        if (next && next.classList.contains('inline-translation')) {
+            next.remove();
+            p.classList.remove('revealed');
+            return;
+        }
+
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        if (!chapter) return;
+        const { translation } = alignParagraphs(chapter);
+        const text = translation[parseInt(p.dataset.para)];
+        if (!text) return;
+
+        const div = document.createElement('div');
+        div.className = 'para-ja inline-translation';
+        if (chapter.translationLang) div.lang = chapter.translationLang;
+        div.innerHTML = markdownToHtml(text);
+        p.after(div);
+        p.classList.add('revealed');
+    }
+
+    function setReaderMode(mode) {
+        if (!READER_MODES.includes(mode)) return;
+        readerMode = mode;
+        localStorage.setItem('storyReader_readerMode', mode);
+        updateReaderModeSwitch();
+
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        if (chapter) {
+            renderReaderText(chapter);
+            decorateReaderText(chapter);
+        }
+    }
+
+    function updateReaderModeSwitch() {
+        $('reader-mode-switch').querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === readerMode);
+        });
+    }
+
+    $('reader-mode-switch').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-mode]');
+        if (btn) setReaderMode(btn.dataset.mode);
+    });
+
+    updateReaderModeSwitch();
+
+    // ================================================================
+    //  INLINE VOCAB POPOVER
+    // ================================================================
+
+    // Everything layered onto the rendered text after markdownToHtml
+    function decorateReaderText(chapter) {
+        linkVocabWords(chapter);
+        markHighlights(chapter);
+        markNotebookWords();
+        markReadAloudSentences(chapter);
+    }
+
+    // Connects each bolded word in #reader-text to its vocab entry.
+    // Words without an entry are flagged so template mistakes stand out.
+    function linkVocabWords(chapter) {
+        $('reader-text').querySelectorAll('strong').forEach(el => {
+            if (el.closest('.para-ja')) return;
+            const index = findVocabEntry(el.textContent, chapter.vocab);
+            if (index !== -1) {
+                el.classList.add('vocab-link');
+                el.dataset.vocabIndex = index;
+                el.setAttribute('role', 'button');
+                el.setAttribute('tabindex', '0');
+            } else {
+                el.classList.add('vocab-unmatched');
+                el.title = t('reader.notInVocab');
+            }
+        });
+    }
+
+    // Resolves a tapped word to its chapter vocab entry or saved notebook word
+    function popoverEntry(target) {
+        if (target.dataset.wordId) {
+            const saved = notebook.find(w => w.id === target.dataset.wordId);
+            return saved && { word: saved.word, meaning: saved.meaning || t('reader.noMeaning'), label: t('reader.myWord') };
+        }
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        return chapter && chapter.vocab[target.dataset.vocabIndex];
+    }
+
+    function showVocabPopover(target) {
+        const entry = popoverEntry(target);
+        if (!entry) return;
+
+        const popover = $('vocab-popover');
+        popover.innerHTML = `
+            ${entry.label ? `<span class="popover-label">${entry.label}</span>` : ''}
+            <span class="vocab-word">${escapeHtml(entry.word)}</span>
+            <span class="vocab-meaning">${inlineMarkdown(entry.meaning)}</span>`;
+        popover.classList.remove('hidden');
+
+        // Place below the word, flipping above if it would overflow the viewport
+        const rect = target.getBoundingClientRect();
+        const popRect = popover.getBoundingClientRect();
+        const margin = 8;
+        let left = rect.left + rect.width / 2 - popRect.width / 2;
+        left = Math.max(margin, Math.min(left, window.innerWidth - popRect.width - margin));
+        let top = rect.bottom + margin;
+        if (top + popRect.height > window.innerHeight - margin) {
+            top = rect.top - popRect.height - margin;
+        }
+        popover.style.left = `${left + window.scrollX}px`;
+        popover.style.top = `${top + window.scrollY}px`;
+
+        document.querySelectorAll('.vocab-link.active, .my-word.active').forEach(el => el.classList.remove('active'));
+        target.classList.add('active');
+    }
+
+    function hideVocabPopover() {
+        $('vocab-popover').classList.add('hidden');
+        document.querySelectorAll('.vocab-link.active, .my-word.active').forEach(el => el.classList.remove('active'));
+    }
+
+    $('reader-text').addEventListener('click', (e) => {
+        if (!window.getSelection().isCollapsed) return;
+        const link = e.target.closest('.vocab-link, .my-word');
+        const highlight = e.target.closest('mark.hl');
+        const sentence = readAloudSentenceAt(e.target);
+        if (!link && sentence !== null) {
+            readAloud.play(sentence);
+            return;
+        }
+        if (!link && highlight) {
+            openHighlightSheet(highlight.dataset.hlId);
+            return;
+        }
+        if (!link) {
+            toggleParagraphTranslation(e.target.closest('[data-para]'));
+            return;
+        }
+        e.stopPropagation();
+        if (link.classList.contains('active')) {
+            hideVocabPopover();
+        } else {
+            showVocabPopover(link);
+        }
+    });
+
+    $('reader-text').addEventListener('keydown', (e) => {
+        const link = e.target.closest('.vocab-link, .my-word');
+        if (link && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            showVocabPopover(link);
+        }
+    });
+
+    // Close popover when clicking elsewhere or scrolling away
+    document.addEventListener('click', (e) => {
+        if (!$('vocab-popover').contains(e.target)) hideVocabPopover();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideVocabPopover();
+    });
+
+    // Chapter navigation buttons
+    $('prev-chapter').addEventListener('click', () => {
+        if (currentChapterIndex > 0) {
+            currentChapterIndex--;
+            renderChapter();
+        }
+    });
+
+    $('next-chapter').addEventListener('click', () => {
+        const story = stories.find(s => s.id === currentStoryId);
+        if (story && currentChapterIndex < story.chapters.length - 1) {
+            markChapterCompleted(story, story.chapters[currentChapterIndex]);
+            currentChapterIndex++;
+            renderChapter();
+        }
+    });
+
+    // Back button
+    $('back-btn').addEventListener('click', () => {
+        navigateTo('view-list');
+        renderStoryList();
+    });
+
+    // ================================================================
+    //  READER MENU
+    // ================================================================
+
+    $('reader-menu-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        $('reader-menu').classList.toggle('hidden');
+    });
+
+    // Close menu when clicking elsewhere
+    document.addEventListener('click', (e) => {
+        if (!$('reader-menu').contains(e.target) && e.target !== $('reader-menu-btn')) {
+            $('reader-menu').classList.add('hidden');
+        }
+    });
+
+    // Manage chapters button
+    $('manage-chapters-btn').addEventListener('click', () => {
+        $('reader-menu').classList.add('hidden');
+        openChapterManager();
+    });
+
+    // Add chapter button
+    $('add-chapter-btn').addEventListener('click', () => {
+        $('reader-menu').classList.add('hidden');
+        openAddView(currentStoryId);
+    });
+
+    // Drops what the other stores keep for deleted chapters: highlights,
+    // notebook words, per-chapter stats and quiz results, and review cards
+    // whose word is no longer in any vocab list. All of them are keyed by
+    // chapter id, so the remaining chapters need no re-indexing.
+    function pruneChapterData(chapterIds) {
+        const removed = new Set(chapterIds);
+        highlights = highlights.filter(h => !removed.has(h.chapterId));
+        notebook = notebook.filter(w => !removed.has(w.chapterId));
+        chapterIds.forEach(id => {
+            delete readingStats.chapters[id];
+            delete quizResults[id];
+        });
+
+        const deckKeys = new Set();
+        stories.forEach(story => story.chapters.forEach(chapter =>
+            (chapter.vocab || []).forEach(v => deckKeys.add(cardKey(v.word)))));
+        Object.keys(reviews).forEach(key => {
+            if (!deckKeys.has(key)) delete reviews[key];
+        });
+
+        saveHighlights();
+        saveNotebook();
+        saveReadingStats();
+        saveQuizResults();
+        saveReviews();
+    }
+
+    // Delete story
+    $('delete-story-btn').addEventListener('click', () => {
+        $('reader-menu').classList.add('hidden');
+        if (confirm(t('reader.confirmDeleteStory'))) {
+            const story = stories.find(s => s.id === currentStoryId);
+            stories = stories.filter(s => s.id !== currentStoryId);
+            saveState();
+            // After leaving the reader, which records the time just spent
+            navigateTo('view-list');
+            if (story) {
+                pruneChapterData(story.chapters.map(c => c.id));
+                delete readingProgress[story.id];
+                saveReadingProgressRecord();
+            }
+            renderStoryList();
+            showToast(t('reader.storyDeleted'));
+        }
+    });
+
+    // ================================================================
+    //  READ ALOUD
+    // ================================================================
+    // Reads the English text sentence by sentence with the Web Speech API,
+    // highlighting the sentence being spoken. Three layers:
+    //   segmentSentences      — text → sentence offsets (read-aloud.js)
+    //   createReadAloudPlayer — playback state over any speech engine (read-aloud.js)
+    //   createSpeechEngine    — the speechSynthesis-backed engine
+
+    const TTS_RATES = [0.6, 0.75, 0.9, 1, 1.15, 1.3];
+    const { segmentSentences, createReadAloudPlayer } = window.ReadAloud;
+
+    function createSpeechEngine() {
+        const synth = window.speechSynthesis;
+        return {
+            available: !!synth && typeof SpeechSynthesisUtterance !== 'undefined',
+            voices: () => (synth ? synth.getVoices().filter(v => /^en\b/i.test(v.lang)) : []),
+            speak(text, { voice = null, rate = 1 }, { onEnd, onError }) {
+                const utterance = new SpeechSynthesisUtterance(text);
+                utterance.lang = voice ? voice.lang : 'en-US';
+                if (voice) utterance.voice = voice;
+                utterance.rate = rate;
+                utterance.onend = onEnd;
+                utterance.onerror = (e) => {
+                    if (e.error !== 'interrupted' && e.error !== 'canceled') onError(e);
+                };
+                synth.speak(utterance);
+            },
+            cancel() {
+                if (synth) synth.cancel();
+            }
+        };
+    }
+
+    const speechEngine = createSpeechEngine();
+    let ttsSettings = { voice: null, rate: 1, ...readStoredJSON('storyReader_tts', {}) };
+    let readAloudChapterId = null;
+
+    const readAloud = createReadAloudPlayer(speechEngine, {
+        onSentence: (index) => {
+            $('reader-text').querySelectorAll('.tts-sentence.speaking').forEach(el => el.classList.remove('speaking'));
+            const parts = $('reader-text').querySelectorAll(`.tts-sentence[data-sentence="${index}"]`);
+            parts.forEach(el => el.classList.add('speaking'));
+            if (parts[0]) parts[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        },
+        onStateChange: (state) => {
+            $('tts-toggle').textContent = state === 'playing' ? '⏸' : '▶';
+            $('tts-toggle').dataset.i18nAriaLabel = state === 'playing' ? 'tts.pause' : 'tts.play';
+            $('tts-toggle').setAttribute('aria-label', t($('tts-toggle').dataset.i18nAriaLabel));
+            if (state === 'idle') {
+                $('reader-text').querySelectorAll('.tts-sentence.speaking').forEach(el => el.classList.remove('speaking'));
+            }
+        },
+        onFinish: () => {
+            // Carry on into the next chapter, as the next button would
+            const story = stories.find(s => s.id === currentStoryId);
+            if (!story || currentChapterIndex >= story.chapters.length - 1) return;
+            markChapterCompleted(story, story.chapters[currentChapterIndex]);
+            currentChapterIndex++;
+            renderChapter();
+            readAloud.play(0);
+        }
+    });
+
+    function isReadAloudOpen() {
+        return !$('tts-player').classList.contains('hidden');
+    }
+
+    function selectedVoice() {
+        return speechEngine.voices().find(v => v.voiceURI === ttsSettings.voice) || null;
+    }
+
+    function saveTtsSettings() {
+        try {
+            localStorage.setItem('storyReader_tts', JSON.stringify(ttsSettings));
+        } catch (err) {
+            handleStorageError(err);
+        }
+    }
+
+    // Wraps each sentence of the English text in span.tts-sentence
+    // (several spans when it crosses bold words or highlights). Block
+    // elements are segmented separately so a heading without a full
+    // stop doesn't run into the paragraph after it.
+    function markReadAloudSentences(chapter) {
+        if (!isReadAloudOpen()) return;
+        const container = $('reader-text');
+        const resumeAt = readAloudChapterId === chapter.id && readAloud.state === 'playing' ? readAloud.index : null;
+
+        const blocks = [];
+        let offset = 0;
+        textNodes(container, isNotEnglishText).forEach(node => {
+            const block = node.parentElement.closest('p, li, h1, h2, h3, h4, h5, h6, blockquote, div');
+            const last = blocks[blocks.length - 1];
+            if (last && last.block === block) {
+                last.text += node.data;
+            } else {
+                blocks.push({ block, start: offset, text: node.data });
+            }
+            offset += node.length;
+        });
+
+        const sentences = blocks.flatMap(({ start, text }) =>
+            segmentSentences(text).map(s => ({ start: start + s.start, end: start + s.end, text: text.slice(s.start, s.end) })));
+
+        // Wrap from the end so earlier offsets stay valid as nodes split
+        sentences.map((sentence, i) => [sentence, i]).reverse().forEach(([sentence, i]) => {
+            wrapTextRange(container, sentence.start, sentence.end, () => {
+                const span = document.createElement('span');
+                span.className = 'tts-sentence';
+                span.dataset.sentence = i;
+                return span;
+            }, isNotEnglishText);
+        });
+
+        readAloudChapterId = chapter.id;
+        readAloud.load(sentences);
+        if (resumeAt !== null) readAloud.play(resumeAt);
+    }
+
+    function unmarkReadAloudSentences() {
+        const container = $('reader-text');
+        container.querySelectorAll('.tts-sentence').forEach(span => span.replaceWith(...span.childNodes));
+        container.normalize();
+    }
+
+    // Sentence index under a tap in #reader-text, while the player is open
+    function readAloudSentenceAt(target) {
+        const span = isReadAloudOpen() && target.closest('.tts-sentence');
+        return span ? parseInt(span.dataset.sentence) : null;
+    }
+
+    function renderTtsVoices() {
+        const voices = speechEngine.voices();
+        $('tts-voice').innerHTML = `<option value="">${t('tts.defaultVoice')}</option>` + voices
+            .map(v => `<option value="${escapeHtml(v.voiceURI)}">${escapeHtml(`${v.name} (${v.lang})`)}</option>`)
+            .join('');
+        $('tts-voice').value = voices.some(v => v.voiceURI === ttsSettings.voice) ? ttsSettings.voice : '';
+    }
+
+    function openReadAloud() {
+        if (!speechEngine.available) {
+            alert(t('tts.unavailable'));
+            return;
+        }
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        if (!chapter) return;
+
+        $('tts-player').classList.remove('hidden');
+        $('tts-rate').innerHTML = TTS_RATES
+            .map(rate => `<option value="${rate}" ${rate === ttsSettings.rate ? 'selected' : ''}>${rate}×</option>`)
+            .join('');
+        renderTtsVoices();
+        readAloud.setOptions({ voice: selectedVoice(), rate: ttsSettings.rate });
+        markReadAloudSentences(chapter);
+        readAloud.play(0);
+    }
+
+    function closeReadAloud() {
+        if (!isReadAloudOpen()) return;
+        readAloud.stop();
+        $('tts-player').classList.add('hidden');
+        unmarkReadAloudSentences();
+        readAloudChapterId = null;
+    }
+
+    $('read-aloud-btn').addEventListener('click', () => {
+        $('reader-menu').classList.add('hidden');
+        openReadAloud();
+    });
+
+    $('tts-toggle').addEventListener('click', () => {
+        if (readAloud.state === 'playing') readAloud.pause();
+        else if (readAloud.state === 'paused') readAloud.resume();
+        else readAloud.play();
+    });
+    $('tts-prev').addEventListener('click', () => readAloud.play(readAloud.index - 1));
+    $('tts-next').addEventListener('click', () => readAloud.play(readAloud.index + 1));
+    $('tts-close').addEventListener('click', closeReadAloud);
+
+    $('tts-rate').addEventListener('change', (e) => {
+        ttsSettings.rate = parseFloat(e.target.value);
+        saveTtsSettings();
+        readAloud.setOptions({ rate: ttsSettings.rate });
+    });
+
+    $('tts-voice').addEventListener('change', (e) => {
+        ttsSettings.voice = e.target.value || null;
+        saveTtsSettings();
+        readAloud.setOptions({ voice: selectedVoice() });
+    });
+
+    // Voices load asynchronously in most browsers
+    if (speechEngine.available) {
+        window.speechSynthesis.addEventListener('voiceschanged', () => {
+            if (isReadAloudOpen()) renderTtsVoices();
+        });
+    }
+
+    // Vocab sheet: speak a single word
+    $('vocab-content').addEventListener('click', (e) => {
+        const btn = e.target.closest('.vocab-speak');
+        if (!btn) return;
+        readAloud.pause();
+        speechEngine.speak(btn.dataset.word, { voice: selectedVoice(), rate: ttsSettings.rate }, { onEnd() {}, onError() {} });
+    });
+
+    // ================================================================
+    //  CONTINUE-STORY PROMPT
+    // ================================================================
+    // Builds a ready-to-copy prompt asking a language model for the next
+    // chapter, in the template format the parser expects. It carries an
+    // outline of the earlier chapters, the end of the latest one and the
+    // vocab already covered, so the model continues the plot with fresh
+    // words. The answer is pasted into the add view for this story.
+    // Presets (level, length, extra instructions) are edited in settings.
+
+    const PROMPT_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+    const PROMPT_WORDS = [50, 2000];
+    const PROMPT_DEFAULTS = [
+        { id: 'a2-short', name: 'A2 · 300 words', level: 'A2', words: 300, instructions: '' },
+        { id: 'b1-standard', name: 'B1 · 500 words', level: 'B1', words: 500, instructions: '' }
+    ];
+    // The latest chapter is quoted up to this many words; earlier ones
+    // are reduced to their opening sentences
+    const PROMPT_TAIL_WORDS = 250;
+    const PROMPT_OUTLINE_SENTENCES = 2;
+
+    function sanitizePromptPreset(preset) {
+        const words = Math.round(Number(preset.words));
+        return {
+            id: isRecordId(preset.id) ? preset.id : generateId(),
+            name: String(preset.name || '').trim() || t('prompt.untitled'),
+            level: PROMPT_LEVELS.includes(preset.level) ? preset.level : 'B1',
+            words: Number.isFinite(words) ? Math.min(PROMPT_WORDS[1], Math.max(PROMPT_WORDS[0], words)) : 500,
+            instructions: String(preset.instructions || '').trim()
+        };
+    }
+
+    function loadPromptPresets() {
+        const saved = readStoredJSON('storyReader_promptPresets', []);
+        return saved.length > 0
+            ? saved.filter(p => p && typeof p === 'object').map(sanitizePromptPreset)
+            : PROMPT_DEFAULTS.map(p => ({ ...p }));
+    }
+
+    let promptPresets = loadPromptPresets();
+    let promptPresetId = localStorage.getItem('storyReader_promptPreset');
+
+    function savePromptPresets() {
+        try {
+            localStorage.setItem('storyReader_promptPresets', JSON.stringify(promptPresets));
+            localStorage.setItem('storyReader_promptPreset', promptPresetId || '');
+        } catch (err) {
+            handleStorageError(err);
+        }
+    }
+
+    function currentPromptPreset() {
+        return promptPresets.find(p => p.id === promptPresetId) || promptPresets[0];
+    }
+
+    // Markdown-free English text on one line
+    function plainEnglish(markdown) {
+        return stripMarkdown(markdown)
+            .replace(/^\s*(?:#+|>|[-*]|\d+\.)\s+/gm, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function languageName(lang) {
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(lang);
+        } catch (err) {
+            return templateProfileFor(lang).label;
+        }
+    }
+
+    function buildContinuePrompt(story, { level, words, instructions }) {
+        const chapters = story.chapters;
+        const last = chapters[chapters.length - 1];
+        const next = chapters.length + 1;
+        const language = last.translationLang ? languageName(last.translationLang) : null;
+
+        const outline = chapters.slice(0, -1).map((chapter, i) => {
+            const text = plainEnglish(chapter.english);
+            const opening = segmentSentences(text).slice(0, PROMPT_OUTLINE_SENTENCES)
+                .map(s => text.slice(s.start, s.end)).join(' ');
+            return `- Chapter ${i + 1}: ${opening || text.slice(0, 200)}`;
+        });
+
+        const lastWords = plainEnglish(last.english).split(' ');
+        const tail = (lastWords.length > PROMPT_TAIL_WORDS ? '… ' : '') + lastWords.slice(-PROMPT_TAIL_WORDS).join(' ');
+
+        const seen = new Set();
+        const covered = chapters.flatMap(c => c.vocab.map(v => v.word)).filter(word => {
+            const key = word.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        const template = buildTemplate(templateProfileFor(last.translationLang), story.title,
+            '[English text, with the key words in **bold**]',
+            ['* **word**: meaning', '* **word**: meaning'],
+            language ? `[Full ${language} translation]` : '[Full translation]');
+
+        return [
+            'You write graded readers for learners of English.',
+            `Write chapter ${next} of the story "${story.title}", continuing the plot from where chapter ${next - 1} ends.`,
+            '',
+            `Level: CEFR ${level}`,
+            `Length: about ${words} words of English`,
+            ...(outline.length > 0 ? ['', 'Earlier chapters:', ...outline] : []),
+            '',
+            `Chapter ${next - 1} ends:`,
+            '"""',
+            tail,
+            '"""',
+            ...(covered.length > 0 ? ['', 'Key words already taught (choose different ones):', covered.join(', ')] : []),
+            ...(instructions ? ['', 'Additional instructions:', instructions] : []),
+            '',
+            'Mark 6–10 new key words in **bold** in the English text and list each of them in section 3 as ' +
+                `\`* **word**: meaning\`${language ? `, with the meaning in ${language}` : ''}. ` +
+                `Section 4 is a full ${language ? `${language} ` : ''}translation of the English text.`,
+            'Reply with the chapter only, using exactly these section headers:',
+            '',
+            template
+        ].join('\n');
+    }
+
+    function renderPromptOutput() {
+        const story = stories.find(s => s.id === currentStoryId);
+        if (!story || story.chapters.length === 0) return;
+        $('prompt-output').value = buildContinuePrompt(story, {
+            level: $('prompt-level').value,
+            words: sanitizePromptPreset({ words: $('prompt-words').value }).words,
+            instructions: currentPromptPreset().instructions
+        });
+    }
+
+    function fillPromptOptions(preset) {
+        $('prompt-level').value = preset.level;
+        $('prompt-words').value = preset.words;
+    }
+
+    function openPromptSheet() {
+        const preset = currentPromptPreset();
+        $('prompt-preset').innerHTML = promptPresets
+            .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+            .join('');
+        $('prompt-preset').value = preset.id;
+        $('prompt-level').innerHTML = PROMPT_LEVELS.map(level => `<option value="${level}">${level}</option>`).join('');
+        fillPromptOptions(preset);
+        renderPromptOutput();
+        $('prompt-answer').classList.add('hidden');
+        $('prompt-answer-input').value = '';
+        $('prompt-answer-preview').classList.add('hidden');
+        openSheet('sheet-prompt');
+    }
+
+    $('continue-prompt-btn').addEventListener('click', () => {
+        $('reader-menu').classList.add('hidden');
+        openPromptSheet();
+    });
+
+    $('prompt-preset').addEventListener('change', (e) => {
+        promptPresetId = e.target.value;
+        savePromptPresets();
+        fillPromptOptions(currentPromptPreset());
+        renderPromptOutput();
+    });
+
+    $('prompt-level').addEventListener('change', renderPromptOutput);
+    $('prompt-words').addEventListener('input', renderPromptOutput);
+
+    // Copy
+    $('prompt-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const text = $('prompt-output').value;
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject();
+        copied
+            .then(() => showToast(t('prompt.copied')))
+            .catch(() => {
+                // No clipboard access: leave the text selected for a manual copy
+                $('prompt-output').select();
+                showToast(t('prompt.copyManually'));
+            });
+    });
+
+    // --- Pasting the answer ---
+    // The answer is previewed in the sheet and appended straight to the
+    // current story as its next chapter. The clipboard fills the box when
+    // the browser allows reading it; otherwise it is pasted by hand.
+
+    let answerPreviewTimer = null;
+
+    function renderAnswerPreview() {
+        renderTemplatePreview($('prompt-answer-input').value.trim(), $('prompt-answer-preview'), false);
+    }
+
+    $('prompt-paste-btn').addEventListener('click', () => {
+        $('prompt-answer').classList.remove('hidden');
+        const pasted = navigator.clipboard && navigator.clipboard.readText ? navigator.clipboard.readText() : Promise.reject();
+        pasted
+            .then(text => {
+                if (!text.trim()) throw new Error('empty clipboard');
+                $('prompt-answer-input').value = text;
+                renderAnswerPreview();
+            })
+            .catch(() => {
+                $('prompt-answer-input').focus();
+                showToast(t('prompt.pasteHint'));
+            });
+    });
+
+    $('prompt-answer-input').addEventListener('input', () => {
+        clearTimeout(answerPreviewTimer);
+        answerPreviewTimer = setTimeout(renderAnswerPreview, 300);
+    });
+
+    $('prompt-append-btn').addEventListener('click', () => {
+        const input = $('prompt-answer-input').value.trim();
+        const story = stories.find(s => s.id === currentStoryId);
+        if (!input || !story) return;
+
+        const parsed = parseTemplate(input);
+        if (!parsed) {
+            renderAnswerPreview();
+            showToast(t('add.parseFailed'));
+            return;
+        }
+        closeAllSheets();
+        appendChapter(story, parsed, input);
+    });
+
+    // --- Presets in settings ---
+
+    function renderPromptPresets() {
+        const levels = selected => PROMPT_LEVELS
+            .map(level => `<option value="${level}" ${level === selected ? 'selected' : ''}>${level}</option>`)
+            .join('');
+        $('prompt-preset-list').innerHTML = promptPresets.map(p => `
+            <form class="prompt-preset-form word-form" data-id="${escapeHtml(p.id)}">
+                <label class="field-label" for="preset-name-${escapeHtml(p.id)}">${t('prompt.name')}</label>
+                <input type="text" id="preset-name-${escapeHtml(p.id)}" name="name" class="text-input" value="${escapeHtml(p.name)}" required>
+                <label class="display-row">
+                    <span>${t('prompt.level')}</span>
+                    <select name="level" class="select-input">${levels(p.level)}</select>
+                </label>
+                <label class="display-row">
+                    <span>${t('prompt.words')}</span>
+                    <input type="number" name="words" class="text-input" min="${PROMPT_WORDS[0]}" max="${PROMPT_WORDS[1]}" step="50" value="${p.words}">
+                </label>
+                <label class="field-label" for="preset-instructions-${escapeHtml(p.id)}">${t('prompt.instructions')}</label>
+                <textarea id="preset-instructions-${escapeHtml(p.id)}" name="instructions" class="text-input" rows="2" placeholder="${escapeHtml(t('prompt.instructionsPlaceholder'))}">${escapeHtml(p.instructions)}</textarea>
+                <div class="notebook-edit-actions">
+                    <button type="button" class="btn secondary danger" data-action="delete-preset" ${promptPresets.length === 1 ? 'disabled' : ''}>${t('common.delete')}</button>
+                    <button type="submit" class="btn primary">${t('common.save')}</button>
+                </div>
+            </form>`).join('');
+    }
+
+    $('prompt-preset-list').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const index = promptPresets.findIndex(p => p.id === form.dataset.id);
+        if (index === -1) return;
+        promptPresets[index] = sanitizePromptPreset({
+            id: form.dataset.id,
+            name: form.elements.name.value,
+            level: form.elements.level.value,
+            words: form.elements.words.value,
+            instructions: form.elements.instructions.value
+        });
+        savePromptPresets();
+        renderPromptPresets();
+        showToast(t('prompt.presetSaved'));
+    });
+
+    $('prompt-preset-list').addEventListener('click', (e) => {
+        if (!e.target.closest('[data-action="delete-preset"]')) return;
+        const form = e.target.closest('form');
+        const preset = promptPresets.find(p => p.id === form.dataset.id);
+        if (!preset || promptPresets.length === 1) return;
+        if (!confirm(t('prompt.confirmDelete', { name: preset.name }))) return;
+        promptPresets = promptPresets.filter(p => p !== preset);
+        savePromptPresets();
+        renderPromptPresets();
+    });
+
+    $('prompt-preset-add').addEventListener('click', () => {
+        const preset = sanitizePromptPreset({ ...currentPromptPreset(), id: null, name: t('prompt.newPreset') });
+        promptPresets.push(preset);
+        savePromptPresets();
+        renderPromptPresets();
+        $(`preset-name-${preset.id}`).focus();
+    });
+
+    // ================================================================
+    //  SELECTION TOOLBAR
+    // ================================================================
+    // Selecting text in #reader-text shows a small toolbar under the
+    // selection. `currentSelection` keeps the selected text and its
+    // surrounding sentence for the toolbar actions.
+
+    let currentSelection = null;
+    let selectionTimer = null;
+
+    // The sentence around a selection, taken from its paragraph's text
+    function sentenceAround(range) {
+        const block = range.startContainer.parentElement &&
+            range.startContainer.parentElement.closest('#reader-text p, #reader-text .para-en');
+        if (!block) return range.toString().trim();
+
+        const pre = document.createRange();
+        pre.setStart(block, 0);
+        pre.setEnd(range.startContainer, range.startOffset);
+        const text = block.textContent;
+        const start = pre.toString().length;
+        const end = start + range.toString().length;
+
+        let from = start;
+        while (from > 0 && !/[.!?]["'”’)]?\s/.test(text.slice(Math.max(0, from - 3), from))) from--;
+        let to = end;
+        while (to < text.length && !/[.!?]/.test(text[to - 1] || '')) to++;
+        while (to < text.length && /["'”’)]/.test(text[to])) to++;
+
+        return text.slice(from, to).replace(/\s+/g, ' ').trim();
+    }
+
+    function updateSelectionToolbar() {
+        const toolbar = $('selection-toolbar');
+        const selection = window.getSelection();
+        const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+        const text = range ? range.toString().trim() : '';
+        const inReader = range && $('reader-text').contains(range.commonAncestorContainer);
+
+        if (!text || !inReader || !$('view-reader').classList.contains('active')) {
+            toolbar.classList.add('hidden');
+            return;
+        }
+
+        currentSelection = {
+            text: range.toString(),
+            sentence: sentenceAround(range),
+            ...selectionContext(range)
+        };
+        toolbar.classList.remove('hidden');
+
+        // Below the selection, leaving the top free for the native menu
+        const rect = range.getBoundingClientRect();
+        const barRect = toolbar.getBoundingClientRect();
+        const margin = 8;
+        let left = rect.left + rect.width / 2 - barRect.width / 2;
+        left = Math.max(margin, Math.min(left, window.innerWidth - barRect.width - margin));
+        toolbar.style.left = `${left + window.scrollX}px`;
+        toolbar.style.top = `${rect.bottom + margin + window.scrollY}px`;
+    }
+
+    document.addEventListener('selectionchange', () => {
+        clearTimeout(selectionTimer);
+        selectionTimer = setTimeout(updateSelectionToolbar, 150);
+    });
+
+    function clearSelection() {
+        window.getSelection().removeAllRanges();
+        $('selection-toolbar').classList.add('hidden');
+    }
+
+    // ================================================================
+    //  HIGHLIGHTS & NOTES
+    // ================================================================
+    // A highlight is anchored by [start, end) offsets into the raw
+    // `chapter.english`, plus the quoted text and a little context either
+    // side. Rendering finds the quote again in the displayed text (nearest
+    // to the stored position), so anchors survive re-rendering; after an
+    // edit they are re-matched or flagged as orphaned.
+    //   { id, storyId, chapterId, start, end, quote, prefix, suffix,
+    //     color, note, orphaned, createdAt, updatedAt }
+
+    const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink'];
+    const ANCHOR_CONTEXT = 32;
+
+    let editingHighlightId = null;
+
+    // Text nodes that aren't the English story (translations, notices)
+    function isNotEnglishText(node) {
+        return !!node.parentElement.closest('.para-ja, .align-notice');
+    }
+
+    // Whitespace-free copy of `text` with a map back to original offsets,
+    // so a quote matches however line breaks and spaces were rendered.
+    function compactText(text, skip = () => false) {
+        let chars = '';
+        const map = [];
+        for (let i = 0; i < text.length; i++) {
+            if (/\s/.test(text[i]) || skip(i)) continue;
+            chars += text[i];
+            map.push(i);
+        }
+        return { chars, map };
+    }
+
+    // Raw-markdown positions that never show up as text: emphasis markers
+    // and block markers at the start of a line.
+    function markdownMarkerIndexes(markdown) {
+        const skipped = new Set();
+        for (let i = 0; i < markdown.length; i++) {
+            if (markdown[i] === '*') skipped.add(i);
+        }
+        const lineMarkers = [
+            /^[ \t]*(#{1,6}\s+|>\s?|[-+]\s+|\d+[.)]\s+)/gm,
+            /^[ \t]*([-_])[ \t]*(?:\1[ \t]*){2,}$/gm
+        ];
+        lineMarkers.forEach(pattern => {
+            let m;
+            while ((m = pattern.exec(markdown))) {
+                for (let i = m.index; i < m.index + m[0].length; i++) skipped.add(i);
+            }
+        });
+        return skipped;
+    }
+
+    // Drops markdown markers so raw text compares with rendered text
+    function withoutMarkers(markdown) {
+        const markers = markdownMarkerIndexes(markdown);
+        return [...markdown].filter((_, i) => !markers.has(i)).join('');
+    }
+
+    // Finds `quote` in `text` (both compared without whitespace or
+    // markdown markers; `skip` excludes positions of `text`), preferring the occurrence whose context
+    // matches and which lies closest to `hint` (0–1 position ratio).
+    function locateQuote(text, anchor, skip) {
+        const hay = compactText(text, skip);
+        const needle = compactText(withoutMarkers(anchor.quote)).chars;
+        if (!needle) return null;
+
+        const prefix = compactText(withoutMarkers(anchor.prefix || '')).chars;
+        const suffix = compactText(withoutMarkers(anchor.suffix || '')).chars;
+        let best = null;
+        let from = 0;
+        let index;
+
+        while ((index = hay.chars.indexOf(needle, from)) !== -1) {
+            const end = index + needle.length;
+            let score = 0;
+            while (score < prefix.length && hay.chars[index - 1 - score] === prefix[prefix.length - 1 - score]) score++;
+            let after = 0;
+            while (after < suffix.length && hay.chars[end + after] === suffix[after]) after++;
+            score += after;
+            score -= Math.abs(index / Math.max(1, hay.chars.length) - (anchor.hint || 0)) * 10;
+
+            if (!best || score > best.score) best = { index, end, score };
+            from = index + 1;
+        }
+
+        if (!best) return null;
+        return { start: hay.map[best.index], end: hay.map[best.end - 1] + 1 };
+    }
+
+    // Builds a stored anchor from positions in the raw English text
+    function makeAnchor(english, start, end) {
+        return {
+            start,
+            end,
+            quote: english.slice(start, end),
+            prefix: english.slice(Math.max(0, start - ANCHOR_CONTEXT), start),
+            suffix: english.slice(end, end + ANCHOR_CONTEXT)
+        };
+    }
+
+    function anchorFromSelection(chapter, selection) {
+        const markers = markdownMarkerIndexes(chapter.english);
+        const domText = textNodes($('reader-text'), isNotEnglishText).map(n => n.data).join('');
+        const found = locateQuote(chapter.english, {
+            quote: selection.text,
+            prefix: selection.prefix,
+            suffix: selection.suffix,
+            hint: selection.offset / Math.max(1, domText.length)
+        }, i => markers.has(i));
+        return found ? makeAnchor(chapter.english, found.start, found.end) : null;
+    }
+
+    // Selection context measured in the displayed English text
+    function selectionContext(range) {
+        const nodes = textNodes($('reader-text'), isNotEnglishText);
+        let offset = 0;
+        let start = -1;
+        for (const node of nodes) {
+            if (node === range.startContainer) {
+                start = offset + range.startOffset;
+                break;
+            }
+            offset += node.length;
+        }
+        const text = nodes.map(n => n.data).join('');
+        const quote = range.toString();
+        return {
+            offset: Math.max(0, start),
+            prefix: start >= 0 ? text.slice(Math.max(0, start - ANCHOR_CONTEXT), start) : '',
+            suffix: start >= 0 ? text.slice(start + quote.length, start + quote.length + ANCHOR_CONTEXT) : ''
+        };
+    }
+
+    function chapterHighlights(chapter) {
+        return highlights.filter(h => h.chapterId === chapter.id && !h.orphaned);
+    }
+
+    function markHighlights(chapter) {
+        const container = $('reader-text');
+        const text = textNodes(container, isNotEnglishText).map(n => n.data).join('');
+
+        chapterHighlights(chapter)
+            .map(h => {
+                const range = locateQuote(text, {
+                    quote: h.quote,
+                    prefix: h.prefix,
+                    suffix: h.suffix,
+                    hint: h.start / Math.max(1, chapter.english.length)
+                });
+                return range && { ...range, h };
+            })
+            .filter(Boolean)
+            // Wrap from the end so earlier offsets stay valid
+            .sort((a, b) => b.start - a.start)
+            .forEach(({ start, end, h }) => {
+                wrapTextRange(container, start, end, () => {
+                    const mark = document.createElement('mark');
+                    mark.className = `hl hl-${h.color}${h.note ? ' has-note' : ''}`;
+                    mark.dataset.hlId = h.id;
+                    if (h.note) mark.title = h.note;
+                    return mark;
+                }, isNotEnglishText);
+            });
+    }
+
+    // Re-matches a chapter's highlights after its text changed.
+    // Returns how many could not be found and are now orphaned.
+    function reanchorHighlights(chapter, previousEnglish) {
+        const markers = markdownMarkerIndexes(chapter.english);
+        let orphaned = 0;
+
+        highlights.filter(h => h.chapterId === chapter.id).forEach(h => {
+            const found = locateQuote(chapter.english, {
+                quote: h.quote,
+                prefix: h.prefix,
+                suffix: h.suffix,
+                hint: h.start / Math.max(1, previousEnglish.length)
+            }, i => markers.has(i));
+
+            if (found) {
+                Object.assign(h, makeAnchor(chapter.english, found.start, found.end), { orphaned: false });
+            } else {
+                h.orphaned = true;
+                orphaned++;
+            }
+        });
+
+        saveHighlights();
+        return orphaned;
+    }
+
+    function createHighlight(color) {
+        if (!currentSelection) return;
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        if (!chapter) return;
+
+        const anchor = anchorFromSelection(chapter, currentSelection);
+        clearSelection();
+        if (!anchor) {
+            showToast(t('highlight.selectText'));
+            return;
+        }
+
+        const highlight = {
+            id: generateId(),
+            storyId: story.id,
+            chapterId: chapter.id,
+            ...anchor,
+            color,
+            note: '',
+            orphaned: false,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        highlights.push(highlight);
+        saveHighlights();
+        rerenderCurrentChapterText();
+        openHighlightSheet(highlight.id);
+    }
+
+    function rerenderCurrentChapterText() {
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        if (chapter) {
+            renderReaderText(chapter);
+            decorateReaderText(chapter);
+        }
+    }
+
+    function openHighlightSheet(id) {
+        const h = highlights.find(x => x.id === id);
+        if (!h) return;
+        editingHighlightId = id;
+        $('highlight-quote').textContent = stripMarkdown(h.quote);
+        $('highlight-note').value = h.note || '';
+        updateHighlightColorButtons(h.color);
+        openSheet('sheet-highlight');
+    }
+
+    function updateHighlightColorButtons(color) {
+        $('highlight-colors').querySelectorAll('button').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.color === color);
+        });
+    }
+
+    $('highlight-colors').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-color]');
+        const h = highlights.find(x => x.id === editingHighlightId);
+        if (!btn || !h) return;
+        h.color = btn.dataset.color;
+        h.updatedAt = Date.now();
+        saveHighlights();
+        updateHighlightColorButtons(h.color);
+        rerenderCurrentChapterText();
+    });
+
+    $('highlight-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const h = highlights.find(x => x.id === editingHighlightId);
+        if (!h) return;
+        h.note = $('highlight-note').value.trim();
+        h.updatedAt = Date.now();
+        saveHighlights();
+        closeAllSheets();
+        rerenderCurrentChapterText();
+        showToast(t('highlight.saved'));
+    });
+
+    $('highlight-delete-btn').addEventListener('click', () => {
+        highlights = highlights.filter(h => h.id !== editingHighlightId);
+        saveHighlights();
+        closeAllSheets();
+        rerenderCurrentChapterText();
+        renderHighlightList();
+    });
+
+    $('selection-toolbar').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-highlight]');
+        if (btn) createHighlight(btn.dataset.highlight);
+    });
+
+    // Per-story list, grouped by chapter; orphaned highlights are kept
+    // (with their quote) until deleted
+    function renderHighlightList() {
+        const story = stories.find(s => s.id === currentStoryId);
+        const container = $('highlights-content');
+        if (!story) return;
+
+        const items = highlights.filter(h => h.storyId === story.id);
+        if (items.length === 0) {
+            container.innerHTML = `<p style="color:var(--text-muted);padding:1rem 0;">${t('highlight.empty')}</p>`;
+            return;
+        }
+
+        const chapterIndex = h => story.chapters.findIndex(c => c.id === h.chapterId);
+        items.sort((a, b) => (chapterIndex(a) - chapterIndex(b)) || (a.start - b.start));
+
+        container.innerHTML = items.map(h => {
+            const index = chapterIndex(h);
+            const orphaned = h.orphaned || index === -1;
+            return `
+                <div class="highlight-item ${orphaned ? 'orphaned' : ''}" data-id="${escapeHtml(h.id)}">
+                    <div class="highlight-meta">
+                        <span class="hl-swatch hl-${h.color}"></span>
+                        <span>${index === -1 ? t('highlight.deletedChapter') : `Ch. ${index + 1}`}</span>
+                        ${orphaned ? `<span class="orphan-badge">${t('highlight.orphaned')}</span>` : ''}
+                    </div>
+                    <blockquote class="highlight-quote">${escapeHtml(stripMarkdown(h.quote))}</blockquote>
+                    ${h.note ? `<p class="highlight-note">${escapeHtml(h.note)}</p>` : ''}
+                    ${orphaned ? `<button class="btn secondary small" data-action="delete">${t('common.delete')}</button>` : ''}
+                </div>`;
+        }).join('');
+    }
+
+    $('highlights-content').addEventListener('click', (e) => {
+        const item = e.target.closest('.highlight-item');
+        if (!item) return;
+        const h = highlights.find(x => x.id === item.dataset.id);
+        if (!h) return;
+
+        if (e.target.closest('[data-action="delete"]')) {
+            highlights = highlights.filter(x => x.id !== h.id);
+            saveHighlights();
+            renderHighlightList();
+            return;
+        }
+        if (item.classList.contains('orphaned')) return;
+
+        const story = stories.find(s => s.id === h.storyId);
+        const index = story.chapters.findIndex(c => c.id === h.chapterId);
+        closeAllSheets();
+        if (index !== currentChapterIndex) {
+            currentChapterIndex = index;
+            renderChapter();
+        }
+        const mark = [...$('reader-text').querySelectorAll('mark.hl')].find(m => m.dataset.hlId === h.id);
+        if (mark) requestAnimationFrame(() => mark.scrollIntoView({ block: 'center' }));
+    });
+
+    $('highlights-btn').addEventListener('click', () => {
+        $('reader-menu').classList.add('hidden');
+        renderHighlightList();
+        openSheet('sheet-highlights');
+    });
+
+    // ================================================================
+    //  WORD NOTEBOOK
+    // ================================================================
+    // Entries: { id, word, meaning, sentence, storyId, chapterId,
+    // createdAt, updatedAt }. Saved words are marked wherever they occur
+    // in the reader, not only in the chapter they came from.
+
+    // Offsets of whole-word, case-insensitive occurrences of `word`
+    function findWordOccurrences(text, word) {
+        const ranges = findMatches(text, normalizeQuery(word));
+        const isLetter = ch => !!ch && /[\p{L}\p{N}']/u.test(ch);
+        const latin = /^[a-z]/i.test(word);
+        return latin
+            ? ranges.filter(([start, end]) => !isLetter(text[start - 1]) && !isLetter(text[end]))
+            : ranges;
+    }
+
+    function markNotebookWords() {
+        const container = $('reader-text');
+        const taken = [];
+
+        // Longer words first so "give up" wins over "give"
+        [...notebook].sort((a, b) => b.word.length - a.word.length).forEach(entry => {
+            findWordOccurrences(container.textContent, entry.word)
+                .filter(([s, e]) => !taken.some(([ts, te]) => s < te && e > ts))
+                .forEach(range => taken.push([...range, entry.id]));
+        });
+
+        taken.sort((a, b) => b[0] - a[0]).forEach(([start, end, id]) => {
+            wrapTextRange(container, start, end, () => {
+                const span = document.createElement('span');
+                span.className = 'my-word';
+                span.dataset.wordId = id;
+                span.setAttribute('role', 'button');
+                span.setAttribute('tabindex', '0');
+                return span;
+            });
+        });
+    }
+
+    function openWordForm(entry) {
+        $('word-form-id').value = entry.id || '';
+        $('word-form-word').value = entry.word || '';
+        $('word-form-meaning').value = entry.meaning || '';
+        $('word-form-sentence').value = entry.sentence || '';
+        $('word-form').dataset.storyId = entry.storyId || '';
+        $('word-form').dataset.chapterId = entry.chapterId || '';
+        openSheet('sheet-word-form');
+        $('word-form-meaning').focus();
+    }
+
+    $('add-word-btn').addEventListener('click', () => {
+        if (!currentSelection) return;
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        const word = currentSelection.text.trim().replace(/\s+/g, ' ');
+        const existing = notebook.find(w => w.word.toLowerCase() === word.toLowerCase());
+        clearSelection();
+
+        openWordForm(existing || {
+            word,
+            sentence: currentSelection.sentence,
+            storyId: story ? story.id : '',
+            chapterId: chapter ? chapter.id : ''
+        });
+    });
+
+    $('word-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const word = $('word-form-word').value.trim();
+        if (!word) return;
+
+        const id = $('word-form-id').value;
+        const fields = {
+            word,
+            meaning: $('word-form-meaning').value.trim(),
+            sentence: $('word-form-sentence').value.trim(),
+            updatedAt: Date.now()
+        };
+
+        const existing = notebook.find(w => w.id === id);
+        if (existing) {
+            Object.assign(existing, fields);
+        } else {
+            notebook.push({
+                id: generateId(),
+                ...fields,
+                storyId: $('word-form').dataset.storyId,
+                chapterId: $('word-form').dataset.chapterId,
+                createdAt: Date.now()
+            });
+        }
+        saveNotebook();
+        closeAllSheets();
+        showToast(existing ? t('words.updated') : t('words.added'));
+
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        if (chapter) {
+            renderReaderText(chapter);
+            decorateReaderText(chapter);
+        }
+    });
+
+    function openNotebook() {
+        navigateTo('view-notebook');
+        renderNotebook();
+    }
+
+    function renderNotebook() {
+        const container = $('notebook-list');
+        if (notebook.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">📒</div>
+                    <p>${t('words.empty')}</p>
+                    <p class="empty-sub">${t('words.emptySub')}</p>
+                </div>`;
+            return;
+        }
+
+        const sorted = [...notebook].sort((a, b) => b.createdAt - a.createdAt);
+        container.innerHTML = sorted.map(entry => {
+            const story = stories.find(s => s.id === entry.storyId);
+            const chapterIndex = story ? story.chapters.findIndex(c => c.id === entry.chapterId) : -1;
+            const source = story
+                ? `${escapeHtml(story.title)}${chapterIndex !== -1 && story.chapters.length > 1 ? ` · Ch. ${chapterIndex + 1}` : ''}`
+                : t('words.deletedStory');
+            return `
+                <div class="notebook-item" data-id="${escapeHtml(entry.id)}">
+                    <div class="notebook-main">
+                        <span class="vocab-word">${escapeHtml(entry.word)}</span>
+                        <span class="vocab-meaning">${escapeHtml(entry.meaning || t('reader.noMeaning'))}</span>
+                    </div>
+                    ${entry.sentence ? `<p class="notebook-sentence">${escapeHtml(entry.sentence)}</p>` : ''}
+                    <div class="notebook-footer">
+                        <span class="notebook-source">${source}</span>
+                        <div class="chapter-row-actions">
+                            ${chapterIndex !== -1 ? `<button class="icon-btn small" data-action="jump" aria-label="${t('words.showInStory')}">↗</button>` : ''}
+                            <button class="icon-btn small" data-action="edit" aria-label="${t('common.edit')}">✏️</button>
+                            <button class="icon-btn small danger" data-action="delete" aria-label="${t('common.delete')}">🗑️</button>
+                        </div>
+                    </div>
+                    <form class="notebook-edit hidden">
+                        <input type="text" class="text-input" name="word" value="${escapeHtml(entry.word)}" required>
+                        <input type="text" class="text-input" name="meaning" value="${escapeHtml(entry.meaning || '')}" placeholder="${t('words.meaning')}">
+                        <textarea class="text-input" name="sentence" rows="2" placeholder="${t('words.sentence')}">${escapeHtml(entry.sentence || '')}</textarea>
+                        <div class="notebook-edit-actions">
+                            <button type="button" class="btn secondary" data-action="cancel">${t('common.cancel')}</button>
+                            <button type="submit" class="btn primary">${t('common.save')}</button>
+                        </div>
+                    </form>
+                </div>`;
+        }).join('');
+    }
+
+    $('notebook-list').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const item = btn.closest('.notebook-item');
+        const entry = notebook.find(w => w.id === item.dataset.id);
+        if (!entry) return;
+
+        switch (btn.dataset.action) {
+            case 'jump': {
+                const story = stories.find(s => s.id === entry.storyId);
+                const chapterIndex = story.chapters.findIndex(c => c.id === entry.chapterId);
+                openReader(story.id, chapterIndex);
+                showWordInContext(entry);
+                break;
+            }
+            case 'edit':
+                item.querySelector('.notebook-edit').classList.remove('hidden');
+                break;
+            case 'cancel':
+                item.querySelector('.notebook-edit').classList.add('hidden');
+                break;
+            case 'delete':
+                if (confirm(t('words.confirmDelete', { word: entry.word }))) {
+                    notebook = notebook.filter(w => w.id !== entry.id);
+                    saveNotebook();
+                    renderNotebook();
+                }
+                break;
+        }
+    });
+
+    $('notebook-list').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const entry = notebook.find(w => w.id === form.closest('.notebook-item').dataset.id);
+        const word = form.elements.word.value.trim();
+        if (!entry || !word) return;
+
+        Object.assign(entry, {
+            word,
+            meaning: form.elements.meaning.value.trim(),
+            sentence: form.elements.sentence.value.trim(),
+            updatedAt: Date.now()
+        });
+        saveNotebook();
+        renderNotebook();
+        showToast(t('words.updated'));
+    });
+
+    // Scrolls to the saved sentence (or the word) and flashes it
+    function showWordInContext(entry) {
+        const container = $('reader-text');
+        const ranges = entry.sentence ? findMatches(container.textContent, normalizeQuery(entry.sentence)) : [];
+        let marks = [];
+        if (ranges.length > 0) {
+            marks = wrapTextRange(container, ranges[0][0], ranges[0][1], () => {
+                const mark = document.createElement('mark');
+                mark.className = 'search-hit';
+                return mark;
+            });
+        } else {
+            highlightQuery(container, normalizeQuery(entry.word));
+            marks = [...container.querySelectorAll('mark.search-hit')];
+        }
+        if (marks[0]) requestAnimationFrame(() => marks[0].scrollIntoView({ block: 'center' }));
+    }
+
+    $('notebook-btn').addEventListener('click', openNotebook);
+    $('notebook-back-btn').addEventListener('click', () => {
+        navigateTo('view-list');
+        renderStoryList();
+    });
+
+    // ================================================================
+    //  FLASHCARD REVIEW (SM-2)
+    // ================================================================
+    // Every vocab word across all stories becomes one card, keyed by its
+    // normalized form so the same word in two chapters is reviewed once.
+    // Only the schedule is persisted; card content is rebuilt from stories.
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Grade buttons map onto SM-2 quality scores (0–5)
+    const REVIEW_GRADES = [
+        { quality: 1, label: 'review.again', className: 'again' },
+        { quality: 3, label: 'review.hard', className: 'hard' },
+        { quality: 4, label: 'review.good', className: 'good' },
+        { quality: 5, label: 'review.easy', className: 'easy' }
+    ];
+
+    let reviewQueue = [];
+    let reviewTotal = 0;
+
+    function startOfDay(ts) {
+        const d = new Date(ts);
+        d.setHours(0, 0, 0, 0);
+        return d.getTime();
+    }
+
+    function cardKey(word) {
+        return tokenize(word).join(' ');
+    }
+
+    // Finds the sentence in the English text where the vocab word is bolded,
+    // falling back to any sentence that mentions it.
+    function splitSentences(english) {
+        return (english || '')
+            .replace(/\s*\n+\s*/g, ' ')
+            .match(/[^.!?]+[.!?]+["'”’)]*|[^.!?]+$/g) || [];
+    }
+
+    function findExampleSentence(english, word) {
+        if (!english) return '';
+        const sentences = splitSentences(english);
+        const entry = [{ word }];
+
+        const bolded = sentences.find(sentence =>
+            [...sentence.matchAll(/\*\*(.+?)\*\*/g)].some(m => findVocabEntry(m[1], entry) === 0)
+        );
+        if (bolded) return bolded.trim();
+
+        const needle = word.toLowerCase();
+        const mentioned = sentences.find(sentence => sentence.toLowerCase().includes(needle));
+        return mentioned ? mentioned.trim() : '';
+    }
+
+    function buildDeck() {
+        const cards = new Map();
+        stories.forEach(story => {
+            story.chapters.forEach(chapter => {
+                (chapter.vocab || []).forEach(v => {
+                    const key = cardKey(v.word);
+                    if (!key || cards.has(key)) return;
+                    cards.set(key, {
+                        key,
+                        word: v.word,
+                        meaning: v.meaning,
+                        sentence: findExampleSentence(chapter.english, v.word),
+                        storyTitle: story.title
+                    });
+                });
+            });
+        });
+        return [...cards.values()];
+    }
+
+    function isCardDue(card, now = Date.now()) {
+        const record = reviews[card.key];
+        return !record || record.due <= now;
+    }
+
+    function getDueCards() {
+        const now = Date.now();
+        return buildDeck()
+            .filter(card => isCardDue(card, now))
+            // Overdue reviews first, then new cards
+            .sort((a, b) => {
+                const da = reviews[a.key] ? reviews[a.key].due : Infinity;
+                const db = reviews[b.key] ? reviews[b.key].due : Infinity;
+                return da - db;
+            });
+    }
+
+    // SM-2: returns the updated schedule for a card given a 0–5 quality score
+    function scheduleReview(record, quality, now = Date.now()) {
+        const prev = record || { ease: 2.5, interval: 0, repetitions: 0 };
+        let { ease, interval, repetitions } = prev;
+
+        if (quality < 3) {
+            repetitions = 0;
+            interval = 0; // Due again today
+        } else {
+            repetitions++;
+            if (repetitions === 1) interval = 1;
+            else if (repetitions === 2) interval = 6;
+            else interval = Math.round(interval * ease);
+            ease = Math.max(1.3, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        }
+
+        return {
+            ease: Math.round(ease * 100) / 100,
+            interval,
+            repetitions,
+            due: startOfDay(now) + interval * DAY_MS,
+            lastReviewed: now
+        };
+    }
+
+    function formatInterval(days) {
+        if (days === 0) return t('review.today');
+        if (days < 30) return t('review.days', { n: days });
+        if (days < 365) return t('review.months', { n: Math.round(days / 30) });
+        return t('review.years', { n: Math.round(days / 365 * 10) / 10 });
+    }
+
+    function renderReviewBanner() {
+        const banner = $('review-banner');
+        const deck = buildDeck();
+        if (deck.length === 0) {
+            banner.classList.add('hidden');
+            return;
+        }
+        const now = Date.now();
+        const dueCount = deck.filter(card => isCardDue(card, now)).length;
+        banner.classList.remove('hidden');
+        banner.classList.toggle('has-due', dueCount > 0);
+        $('review-due-count').textContent = dueCount;
+    }
+
+    function openReview() {
+        reviewQueue = getDueCards();
+        reviewTotal = reviewQueue.length;
+        navigateTo('view-review');
+        renderReviewCard();
+    }
+
+    function renderReviewCard() {
+        const card = reviewQueue[0];
+        $('review-progress').textContent = reviewTotal > 0 ? t('review.remaining', { left: reviewQueue.length, total: reviewTotal }) : '';
+
+        if (!card) {
+            $('review-card').classList.add('hidden');
+            $('review-actions').classList.add('hidden');
+            $('review-done').classList.remove('hidden');
+            return;
+        }
+
+        $('review-done').classList.add('hidden');
+        $('review-card').classList.remove('hidden');
+        $('review-actions').classList.remove('hidden');
+
+        const entry = [{ word: card.word }];
+        const sentenceHtml = escapeHtml(card.sentence)
+            .replace(/\*\*(.+?)\*\*/g, (m, inner) =>
+                findVocabEntry(inner, entry) === 0 ? `<strong>${inner}</strong>` : inner
+            );
+
+        $('review-word').textContent = card.word;
+        $('review-sentence').innerHTML = sentenceHtml;
+        $('review-sentence').classList.toggle('hidden', !card.sentence);
+        $('review-meaning').textContent = card.meaning;
+        $('review-source').textContent = card.storyTitle;
+        $('review-back').classList.add('hidden');
+
+        // Show the next interval for each grade on its button
+        const record = reviews[card.key];
+        $('review-actions').innerHTML = `
+            <button id="review-reveal-btn" class="btn primary">${t('review.reveal')}</button>
+            <div id="review-grades" class="review-grades hidden">
+                ${REVIEW_GRADES.map(g => `
+                    <button class="btn grade-btn ${g.className}" data-quality="${g.quality}">
+                        <span>${t(g.label)}</span>
+                        <small>${formatInterval(scheduleReview(record, g.quality).interval)}</small>
+                    </button>`).join('')}
+            </div>`;
+    }
+
+    function gradeCurrentCard(quality) {
+        const card = reviewQueue.shift();
+        if (!card) return;
+
+        reviews[card.key] = scheduleReview(reviews[card.key], quality);
+        saveReviews();
+
+        // Failed cards come back at the end of this session
+        if (quality < 3) reviewQueue.push(card);
+        renderReviewCard();
+    }
+
+    $('review-banner').addEventListener('click', openReview);
+
+    $('review-back-btn').addEventListener('click', () => {
+        navigateTo('view-list');
+        renderStoryList();
+    });
+
+    $('review-actions').addEventListener('click', (e) => {
+        if (e.target.closest('#review-reveal-btn')) {
+            $('review-back').classList.remove('hidden');
+            $('review-reveal-btn').classList.add('hidden');
+            $('review-grades').classList.remove('hidden');
+            return;
+        }
+        const gradeBtn = e.target.closest('.grade-btn');
+        if (gradeBtn) gradeCurrentCard(parseInt(gradeBtn.dataset.quality));
+    });
+
+    // ================================================================
+    //  CHAPTER QUIZ
+    // ================================================================
+    // Generated from the chapter on each run:
+    //   cloze  — a sentence with one bolded vocab word blanked out
+    //   choice — pick a word's meaning; distractors come from other chapters
+    //   match  — pair English paragraphs with their translations
+    // Results are kept per chapter as
+    //   { [chapterId]: { storyId, attempts: [{ at, correct, total }], missed: [word] } }
+    // and words missed last time are asked first on the next run.
+
+    const QUIZ_WORD_LIMIT = 8;
+    const QUIZ_MATCH_LIMIT = 4;
+    const QUIZ_ATTEMPTS_KEPT = 20;
+
+    let quizResults = {}; // Loaded at init
+    let quiz = null; // { storyId, chapterId, questions, index, correct, total, missed, answered }
+
+    function saveQuizResults() {
+        persistValue('storyReader_quiz', quizResults).catch(handleStorageError);
+    }
+
+    function shuffle(items) {
+        const copy = [...items];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    // First sentence where `entry` appears in bold, with that occurrence
+    // blanked and the remaining markdown stripped
+    function buildCloze(chapter, entry) {
+        for (const sentence of splitSentences(chapter.english)) {
+            for (const m of sentence.matchAll(/\*\*(.+?)\*\*/g)) {
+                if (findVocabEntry(m[1], [entry]) !== 0) continue;
+                const before = stripMarkdown(sentence.slice(0, m.index));
+                const after = stripMarkdown(sentence.slice(m.index + m[0].length));
+                return {
+                    type: 'cloze',
+                    word: entry.word,
+                    meaning: entry.meaning,
+                    before: before.trimStart(),
+                    after: after.trimEnd(),
+                    answer: m[1]
+                };
+            }
+        }
+        return null;
+    }
+
+    function buildChoice(chapter, entry) {
+        const own = entry.meaning.trim();
+        const pool = new Map();
+        const collect = (vocab) => (vocab || []).forEach(v => {
+            const key = (v.meaning || '').trim();
+            if (key && key !== own && !pool.has(key)) pool.set(key, v.meaning);
+        });
+
+        stories.forEach(story => story.chapters.forEach(c => {
+            if (c.id !== chapter.id) collect(c.vocab);
+        }));
+        // Too few other chapters: fall back to this chapter's other words
+        if (pool.size < 3) collect(chapter.vocab);
+        if (pool.size === 0) return null;
+
+        return {
+            type: 'choice',
+            word: entry.word,
+            meaning: entry.meaning,
+            options: shuffle([entry.meaning, ...shuffle([...pool.values()]).slice(0, 3)])
+        };
+    }
+
+    function buildMatch(chapter) {
+        const { english, translation, aligned } = alignParagraphs(chapter);
+        if (!aligned || english.length < 2) return null;
+
+        const picked = shuffle(english.map((en, i) => ({ en, ja: translation[i], i })))
+            .slice(0, QUIZ_MATCH_LIMIT)
+            .sort((a, b) => a.i - b.i);
+        return {
+            type: 'match',
+            pairs: picked.map(p => ({ en: stripMarkdown(p.en), ja: stripMarkdown(p.ja) })),
+            options: shuffle(picked.map((p, k) => k))
+        };
+    }
+
+    function buildQuiz(chapter) {
+        const missed = new Set((quizResults[chapter.id] && quizResults[chapter.id].missed) || []);
+        const vocab = (chapter.vocab || []).filter(v => v.word && v.meaning);
+        const ordered = [
+            ...shuffle(vocab.filter(v => missed.has(v.word))),
+            ...shuffle(vocab.filter(v => !missed.has(v.word)))
+        ];
+
+        const questions = [];
+        ordered.forEach(entry => {
+            if (questions.length >= Math.max(QUIZ_WORD_LIMIT, missed.size)) return;
+            const cloze = buildCloze(chapter, entry);
+            const choice = buildChoice(chapter, entry);
+            // Alternate so a quiz mixes both kinds when it can
+            const preferCloze = questions.length % 2 === 0;
+            const question = (preferCloze ? cloze || choice : choice || cloze);
+            if (question) questions.push({ ...question, retry: missed.has(entry.word) });
+        });
+
+        const match = buildMatch(chapter);
+        if (match) questions.push(match);
+        return questions;
+    }
+
+    function openQuiz() {
+        const story = stories.find(s => s.id === currentStoryId);
+        const chapter = story && story.chapters[currentChapterIndex];
+        if (!chapter) return;
+
+        const questions = buildQuiz(chapter);
+        if (questions.length === 0) {
+            alert(t('quiz.cannotBuild'));
+            return;
+        }
+
+        quiz = {
+            storyId: story.id,
+            chapterId: chapter.id,
+            chapterIndex: currentChapterIndex,
+            questions,
+            index: 0,
+            correct: 0,
+            total: 0,
+            missed: new Set(),
+            answered: false
+        };
+        navigateTo('view-quiz');
+        $('quiz-title').textContent = `${story.title} — Ch. ${currentChapterIndex + 1}`;
+        renderQuizQuestion();
+    }
+
+    function renderQuizQuestion() {
+        const q = quiz.questions[quiz.index];
+        if (!q) {
+            finishQuiz();
+            return;
+        }
+
+        quiz.answered = false;
+        $('quiz-progress').textContent = `${quiz.index + 1} / ${quiz.questions.length}`;
+        $('quiz-result').classList.add('hidden');
+        $('quiz-card').classList.remove('hidden');
+        $('quiz-feedback').textContent = '';
+        $('quiz-feedback').className = 'quiz-feedback';
+
+        const badge = q.retry ? `<span class="quiz-retry">${t('quiz.retryBadge')}</span>` : '';
+
+        if (q.type === 'cloze') {
+            $('quiz-question').innerHTML = `
+                ${badge}
+                <p class="quiz-instruction">${t('quiz.cloze', { meaning: escapeHtml(q.meaning) })}</p>
+                <p class="quiz-sentence">${escapeHtml(q.before)}<input id="quiz-cloze-input" class="quiz-blank" autocomplete="off" autocapitalize="off" spellcheck="false">${escapeHtml(q.after)}</p>`;
+            $('quiz-actions').innerHTML = `<button id="quiz-check-btn" class="btn primary">${t('quiz.check')}</button>`;
+            $('quiz-cloze-input').focus();
+        } else if (q.type === 'choice') {
+            $('quiz-question').innerHTML = `
+                ${badge}
+                <p class="quiz-instruction">${t('quiz.choice')}</p>
+                <div class="review-word">${escapeHtml(q.word)}</div>
+                <div class="quiz-options">${q.options.map((o, i) =>
+                    `<button class="btn quiz-option" data-option="${i}">${escapeHtml(o)}</button>`).join('')}</div>`;
+            $('quiz-actions').innerHTML = '';
+        } else {
+            $('quiz-question').innerHTML = `
+                <p class="quiz-instruction">${t('quiz.match')}</p>
+                ${q.pairs.map((p, i) => `
+                    <div class="quiz-match-row">
+                        <p class="quiz-match-en">${escapeHtml(p.en)}</p>
+                        <select class="select-input" data-pair="${i}">
+                            <option value="">—</option>
+                            ${q.options.map(k => `<option value="${k}">${escapeHtml(q.pairs[k].ja.slice(0, 60))}${q.pairs[k].ja.length > 60 ? '…' : ''}</option>`).join('')}
+                        </select>
+                    </div>`).join('')}`;
+            $('quiz-actions').innerHTML = `<button id="quiz-check-btn" class="btn primary">${t('quiz.check')}</button>`;
+        }
+    }
+
+    function showQuizFeedback(ok, message) {
+        quiz.answered = true;
+        $('quiz-feedback').textContent = message;
+        $('quiz-feedback').className = `quiz-feedback ${ok ? 'correct' : 'wrong'}`;
+        $('quiz-actions').innerHTML = `<button id="quiz-next-btn" class="btn primary">${t('quiz.next')}</button>`;
+    }
+
+    function gradeWord(q, ok) {
+        quiz.total++;
+        if (ok) quiz.correct++;
+        else quiz.missed.add(q.word);
+    }
+
+    function checkQuizAnswer(optionIndex = null) {
+        const q = quiz.questions[quiz.index];
+        if (!q || quiz.answered) return;
+
+        if (q.type === 'cloze') {
+            const input = $('quiz-cloze-input');
+            const answer = input.value.trim().replace(/\s+/g, ' ').toLowerCase();
+            const ok = answer === q.answer.toLowerCase();
+            input.disabled = true;
+            gradeWord(q, ok);
+            showQuizFeedback(ok, ok ? t('quiz.correct') : t('quiz.answerWas', { answer: q.answer }));
+        } else if (q.type === 'choice') {
+            const ok = q.options[optionIndex] === q.meaning;
+            $('quiz-question').querySelectorAll('.quiz-option').forEach((btn, i) => {
+                btn.disabled = true;
+                if (q.options[i] === q.meaning) btn.classList.add('correct');
+                else if (i === optionIndex) btn.classList.add('wrong');
+            });
+            gradeWord(q, ok);
+            showQuizFeedback(ok, ok ? t('quiz.correct') : t('quiz.answerWas', { answer: q.meaning }));
+        } else {
+            let right = 0;
+            $('quiz-question').querySelectorAll('select[data-pair]').forEach(select => {
+                const ok = select.value === select.dataset.pair;
+                if (ok) right++;
+                select.disabled = true;
+                select.closest('.quiz-match-row').classList.add(ok ? 'correct' : 'wrong');
+            });
+            quiz.total += q.pairs.length;
+            quiz.correct += right;
+            showQuizFeedback(right === q.pairs.length, t('quiz.pairs', { total: q.pairs.length, right }));
+        }
+    }
+
+    // Words not asked this time stay on the missed list
+    function finishQuiz() {
+        const previous = quizResults[quiz.chapterId];
+        const asked = new Set(quiz.questions.filter(q => q.word).map(q => q.word));
+        const carried = ((previous && previous.missed) || []).filter(w => !asked.has(w));
+        const attempts = [...((previous && previous.attempts) || []), {
+            at: Date.now(),
+            correct: quiz.correct,
+            total: quiz.total
+        }].slice(-QUIZ_ATTEMPTS_KEPT);
+
+        quizResults[quiz.chapterId] = {
+            storyId: quiz.storyId,
+            attempts,
+            missed: [...carried, ...quiz.missed]
+        };
+        saveQuizResults();
+
+        const last = attempts.length > 1 ? attempts[attempts.length - 2] : null;
+        const story = stories.find(s => s.id === quiz.storyId);
+        const chapter = story && story.chapters.find(c => c.id === quiz.chapterId);
+        const meanings = new Map(((chapter && chapter.vocab) || []).map(v => [v.word, v.meaning]));
+
+        $('quiz-card').classList.add('hidden');
+        $('quiz-progress').textContent = '';
+        $('quiz-result').innerHTML = `
+            <div class="quiz-score">${quiz.correct} / ${quiz.total}</div>
+            ${last ? `<p class="quiz-previous">${t('quiz.previous', { correct: last.correct, total: last.total })}</p>` : ''}
+            ${quiz.missed.size > 0 ? `
+                <h3 class="preview-heading">${t('quiz.missed')}</h3>
+                <ul class="quiz-missed">${[...quiz.missed].map(w =>
+                    `<li><strong>${escapeHtml(w)}</strong> ${escapeHtml(meanings.get(w) || '')}</li>`).join('')}</ul>` : `<p class="quiz-previous">${t('quiz.perfect')}</p>`}
+            <div class="quiz-result-actions">
+                <button id="quiz-retry-btn" class="btn secondary">${t('quiz.retry')}</button>
+                <button id="quiz-done-btn" class="btn primary">${t('quiz.backToText')}</button>
+            </div>`;
+        $('quiz-result').classList.remove('hidden');
+    }
+
+    function closeQuiz() {
+        const { storyId, chapterIndex } = quiz;
+        quiz = null;
+        openReader(storyId, chapterIndex);
+    }
+
+    $('quiz-btn').addEventListener('click', () => {
+        $('reader-menu').classList.add('hidden');
+        openQuiz();
+    });
+
+    $('quiz-back-btn').addEventListener('click', closeQuiz);
+
+    $('quiz-card').addEventListener('click', (e) => {
+        const option = e.target.closest('.quiz-option');
+        if (option) {
+            checkQuizAnswer(parseInt(option.dataset.option));
+            return;
+        }
+        if (e.target.closest('#quiz-check-btn')) {
+            checkQuizAnswer();
+            return;
+        }
+        if (e.target.closest('#quiz-next-btn')) {
+            quiz.index++;
+            renderQuizQuestion();
+        }
+    });
+
+    $('quiz-card').addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || e.target.id !== 'quiz-cloze-input') return;
+        e.preventDefault();
+        checkQuizAnswer();
+    });
+
+    $('quiz-result').addEventListener('click', (e) => {
+        if (e.target.closest('#quiz-retry-btn')) {
+            const { storyId, chapterIndex } = quiz;
+            currentStoryId = storyId;
+            currentChapterIndex = chapterIndex;
+            openQuiz();
+        } else if (e.target.closest('#quiz-done-btn')) {
+            closeQuiz();
+        }
+    });
+
+    // ================================================================
+    //  BOTTOM SHEETS
+    // ================================================================
+
+    const overlay = $('sheet-overlay');
+
+    // An open sheet owns a history entry (same URL, `sheet` in its state)
+    // so back closes the sheet instead of leaving the view. Closing it any
+    // other way pops that entry; route changes made meanwhile wait for the
+    // pop (see updateRoute and the popstate handler in ROUTING).
+
+    function openSheet(sheetId) {
+        const sheet = $(sheetId);
+        if (!sheet) return;
+
+        // Switching sheets reuses the entry
+        hideSheets();
+        const state = history.state || {};
+        if (state.sheet && !sheetPopPending) {
+            history.replaceState({ ...state, sheet: sheetId }, '');
+        } else {
+            history.pushState({ route: currentRoute(), from: state.from, sheet: sheetId }, '');
+        }
+
+        overlay.classList.remove('hidden');
+        // Force reflow
+        void overlay.offsetWidth;
+        overlay.classList.add('visible');
+
+        sheet.classList.add('open');
+
+        // Mark active tab
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.toggle('active', `sheet-${btn.dataset.sheet}` === sheetId);
+        });
+    }
+
+    function closeAllSheets() {
+        hideSheets();
+        if (history.state && history.state.sheet && !sheetPopPending) {
+            sheetPopPending = true;
+            history.back();
+        }
+    }
+
+    function hideSheets() {
+        document.querySelectorAll('.bottom-sheet').forEach(s => s.classList.remove('open'));
+        overlay.classList.remove('visible');
+        setTimeout(() => overlay.classList.add('hidden'), 300);
+        document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+    }
+
+    // Tab buttons
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const sheetId = `sheet-${btn.dataset.sheet}`;
+            const sheet = $(sheetId);
+            if (sheet && sheet.classList.contains('open')) {
+                closeAllSheets();
+            } else {
+                openSheet(sheetId);
+            }
+        });
+    });
+
+    // Overlay click to close
+    overlay.addEventListener('click', closeAllSheets);
+
+    // Handle drag on sheet handles
+    document.querySelectorAll('.sheet-handle').forEach(handle => {
+        handle.addEventListener('click', () => {
+            closeAllSheets();
+        });
+    });
+
+    // Swipe-down to close bottom sheet
+    let touchStartY = 0;
+    document.querySelectorAll('.bottom-sheet').forEach(sheet => {
+        sheet.addEventListener('touchstart', (e) => {
+            touchStartY = e.touches[0].clientY;
+        }, { passive: true });
+
+        sheet.addEventListener('touchend', (e) => {
+            const touchEndY = e.changedTouches[0].clientY;
+            const diff = touchEndY - touchStartY;
+            if (diff > 80) { // Swiped down
+                closeAllSheets();
+            }
+        }, { passive: true });
+    });
+
+    // ================================================================
+    //  ADD / EDIT VIEW
+    // ================================================================
+
+    function openAddView(existingStoryId = null, chapterId = null) {
+        addingToStoryId = existingStoryId;
+        editingChapterId = chapterId;
+
+        const story = existingStoryId ? stories.find(s => s.id === existingStoryId) : null;
+        const chapter = story && chapterId ? story.chapters.find(c => c.id === chapterId) : null;
+
+        if (chapter) {
+            const index = story.chapters.indexOf(chapter);
+            $('add-view-title').textContent = t('add.editChapter', { n: index + 1 });
+            $('target-story-section').classList.remove('hidden');
+            $('target-story-name').textContent = story.title;
+            $('story-input').value = chapter.source || chapterToTemplate(story.title, chapter);
+        } else if (existingStoryId) {
+            $('add-view-title').textContent = t('add.addChapter');
+            $('target-story-section').classList.remove('hidden');
+            $('target-story-name').textContent = story ? story.title : '';
+            $('story-input').value = '';
+        } else {
+            $('add-view-title').textContent = t('add.newStory');
+            $('target-story-section').classList.add('hidden');
+            $('story-input').value = '';
+        }
+
+        $('import-summary').classList.add('hidden');
+        navigateTo('view-add');
+        renderAddPreview();
+    }
+
+    // ================================================================
+    //  ADD PREVIEW & DIAGNOSTICS
+    // ================================================================
+
+    const SECTION_LABELS = {
+        title: 'add.sectionTitle',
+        english: 'add.sectionEnglish',
+        vocab: 'add.sectionVocab',
+        translation: 'add.sectionTranslation'
+    };
+
+    let previewTimer = null;
+
+    function renderAddPreview() {
+        renderTemplatePreview($('story-input').value.trim(), $('add-preview'), !editingChapterId);
+    }
+
+    // Shows what the parser makes of `input` in `preview`: one line per
+    // template when it holds several (and `allowMany`), otherwise the
+    // sections found, errors, warnings and the parsed chapter
+    function renderTemplatePreview(input, preview, allowMany) {
+        if (!input) {
+            preview.classList.add('hidden');
+            return;
+        }
+        preview.classList.remove('hidden');
+
+        const blocks = allowMany ? splitTemplates(input) : [input];
+        if (blocks.length > 1) {
+            preview.innerHTML = `
+                <h4 class="preview-heading">${t('add.detected', { count: blocks.length })}</h4>
+                <ul class="diag-list">${blocks.map((block, i) => {
+                    const r = analyzeTemplate(block);
+                    const label = r.chapter ? escapeHtml(r.chapter.title) : escapeHtml(r.errors[0]);
+                    const note = r.warnings.length > 0 ? ` <small>${t('add.warnings', { count: r.warnings.length })}</small>` : '';
+                    return `<li class="${r.chapter ? 'diag-ok' : 'diag-error'}">${i + 1}. ${label}${note}</li>`;
+                }).join('')}</ul>`;
+            return;
+        }
+
+        const result = analyzeTemplate(input);
+        const chapter = result.chapter;
+
+        const sectionsHtml = Object.keys(SECTION_LABELS).map(key => {
+            const line = result.sections[key];
+            return `<span class="section-chip ${line ? 'found' : 'missing'}">
+                ${line ? '✓' : '✗'} ${t(SECTION_LABELS[key])}${line ? ` <small>L${line}</small>` : ''}
+            </span>`;
+        }).join('') + (result.profile
+            ? `<span class="section-chip found">${t('add.format', { name: TEMPLATE_PROFILES[result.profile].label })}</span>`
+            : '');
+
+        const messagesHtml = [
+            ...result.errors.map(msg => `<li class="diag-error">${escapeHtml(msg)}</li>`),
+            ...result.warnings.map(msg => `<li class="diag-warning">${escapeHtml(msg)}</li>`)
+        ].join('');
+
+        let bodyHtml = '';
+        if (chapter) {
+            const vocabHtml = chapter.vocab.map(v => `
+                <div class="vocab-item">
+                    <span class="vocab-word">${escapeHtml(v.word)}</span>
+                    <span class="vocab-meaning">${escapeHtml(v.meaning)}</span>
+                </div>`).join('');
+            bodyHtml = `
+                <h3 class="preview-title">${escapeHtml(chapter.title)}</h3>
+                <div class="reader-text preview-text">${markdownToHtml(chapter.english)}</div>
+                ${vocabHtml ? `<h4 class="preview-heading">${t('add.previewVocab', { count: chapter.vocab.length })}</h4>${vocabHtml}` : ''}
+                ${chapter.translation ? `<h4 class="preview-heading">${t('add.previewTranslation', { lang: chapter.translationLang || '?' })}</h4>
+                <div class="translation-text"${langAttr(chapter)}>${markdownToHtml(chapter.translation)}</div>` : ''}`;
+        } else {
+            bodyHtml = `<pre class="format-hint">${escapeHtml(templateExample())}</pre>`;
+        }
+
+        preview.innerHTML = `
+            <div class="preview-sections">${sectionsHtml}</div>
+            ${messagesHtml ? `<ul class="diag-list">${messagesHtml}</ul>` : ''}
+            <div class="preview-body">${bodyHtml}</div>`;
+    }
+
+    $('story-input').addEventListener('input', () => {
+        clearTimeout(previewTimer);
+        previewTimer = setTimeout(renderAddPreview, 300);
+    });
+
+    // FAB button
+    $('add-story-fab').addEventListener('click', () => openAddView());
+
+    // Back button from add view
+    $('add-back-btn').addEventListener('click', () => {
+        if (editingChapterId) {
+            openChapterManager();
+        } else if (addingToStoryId) {
+            openReader(addingToStoryId);
+        } else {
+            navigateTo('view-list');
+        }
+    });
+
+    // Form submit
+    $('add-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = $('story-input').value.trim();
+        if (!input) return;
+
+        // Several templates pasted at once go through the bulk importer
+        const blocks = splitTemplates(input);
+        if (!editingChapterId && blocks.length > 1) {
+            const summary = importTemplates(blocks.map((text, i) => ({ label: t('add.block', { n: i + 1 }), text })));
+            showImportSummary(summary);
+            return;
+        }
+
+        const parsed = parseTemplate(input);
+        if (!parsed) {
+            renderAddPreview();
+            $('add-preview').scrollIntoView({ behavior: 'smooth', block: 'start' });
+            showToast(t('add.parseFailed'));
+            return;
+        }
+
+        if (editingChapterId) {
+            // Replace the content of an existing chapter, keeping its id
+            const story = stories.find(s => s.id === addingToStoryId);
+            const chapter = story && story.chapters.find(c => c.id === editingChapterId);
+            if (chapter) {
+                const previousEnglish = chapter.english;
+                Object.assign(chapter, {
+                    english: parsed.english,
+                    vocab: parsed.vocab,
+                    translation: parsed.translation,
+                    translationLang: parsed.translationLang,
+                    source: input,
+                    editedAt: Date.now()
+                });
+                story.updatedAt = Date.now();
+                saveState();
+                const orphaned = previousEnglish !== chapter.english ? reanchorHighlights(chapter, previousEnglish) : 0;
+                showToast(orphaned > 0
+                    ? t('add.chapterUpdatedOrphans', { count: orphaned })
+                    : t('add.chapterUpdated'));
+                openReader(story.id, story.chapters.indexOf(chapter));
+            }
+            return;
+        }
+
+        if (addingToStoryId) {
+            // Add chapter to existing story
+            const story = stories.find(s => s.id === addingToStoryId);
+            if (story) appendChapter(story, parsed, input);
+        } else {
+            // Create new story
+            const story = createStory(parsed.title, [createChapter(parsed, input)]);
+            stories.push(story);
+            saveState();
+            showToast(t('add.storyAdded'));
+            openReader(story.id);
+        }
+    });
+
+    // Adds a parsed template as the story's last chapter and opens it
+    function appendChapter(story, parsed, source) {
+        story.chapters.push(createChapter(parsed, source));
+        story.updatedAt = Date.now();
+        saveState();
+        showToast(t('add.chapterAdded', { n: story.chapters.length }));
+        openReader(story.id, story.chapters.length - 1);
+    }
+
+    function createChapter(parsed, source) {
+        return {
+            id: generateId(),
+            english: parsed.english,
+            vocab: parsed.vocab,
+            translation: parsed.translation,
+            translationLang: parsed.translationLang,
+            source: source,
+            addedAt: Date.now()
+        };
+    }
+
+    function createStory(title, chapters) {
+        return {
+            id: generateId(),
+            title: title,
+            chapters: chapters,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+    }
+
+    // ================================================================
+    //  BULK IMPORT
+    // ================================================================
+    // Each entry is { label, text } holding one template. Chapters are
+    // grouped into stories by title (case-insensitive), appending to an
+    // existing story of the same title. When adding to a specific story,
+    // every chapter goes there regardless of title.
+
+    function findStoryByTitle(title) {
+        const key = title.trim().toLowerCase();
+        return stories.find(s => s.title.trim().toLowerCase() === key);
+    }
+
+    function importTemplates(entries) {
+        const created = new Map();   // story id → { story, count }
+        const appended = new Map();  // story id → { story, count }
+        const failed = [];
+        const existingIds = new Set(stories.map(s => s.id));
+
+        entries.forEach(entry => {
+            const result = analyzeTemplate(entry.text);
+            if (!result.chapter) {
+                failed.push({ label: entry.label, reason: result.errors[0] });
+                return;
+            }
+
+            const parsed = result.chapter;
+            let story = addingToStoryId
+                ? stories.find(s => s.id === addingToStoryId)
+                : findStoryByTitle(parsed.title);
+
+            if (!story) {
+                story = createStory(parsed.title, []);
+                stories.push(story);
+            }
+
+            story.chapters.push(createChapter(parsed, entry.text));
+            story.updatedAt = Date.now();
+
+            const bucket = existingIds.has(story.id) ? appended : created;
+            const record = bucket.get(story.id) || { story, count: 0 };
+            record.count++;
+            bucket.set(story.id, record);
+        });
+
+        if (created.size > 0 || appended.size > 0) saveState();
+
+        return {
+            created: [...created.values()],
+            appended: [...appended.values()],
+            failed
+        };
+    }
+
+    function showImportSummary(summary) {
+        const item = r => `<li>${escapeHtml(r.story.title)} <small>${t('import.chapters', { count: r.count })}</small></li>`;
+        const sections = [
+            summary.created.length > 0 &&
+                `<h4 class="preview-heading">${t('import.created')}</h4><ul>${summary.created.map(item).join('')}</ul>`,
+            summary.appended.length > 0 &&
+                `<h4 class="preview-heading">${t('import.appended')}</h4><ul>${summary.appended.map(item).join('')}</ul>`,
+            summary.failed.length > 0 &&
+                `<h4 class="preview-heading">${t('import.failed')}</h4><ul class="diag-list">${summary.failed.map(f =>
+                    `<li class="diag-error">${escapeHtml(f.label)}: ${escapeHtml(f.reason)}</li>`).join('')}</ul>`
+        ].filter(Boolean).join('');
+
+        $('import-summary').innerHTML = `
+            ${sections}
+            <div class="summary-actions">
+                <button type="button" id="import-summary-done" class="btn secondary">${t('import.backToList')}</button>
+            </div>`;
+        $('import-summary').classList.remove('hidden');
+        $('import-summary').scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        const imported = summary.created.length + summary.appended.length;
+        if (imported > 0) {
+            $('story-input').value = '';
+            renderAddPreview();
+            showToast(t('import.done', { count: summary.created.concat(summary.appended).reduce((n, r) => n + r.count, 0) }));
+        }
+    }
+
+    $('import-summary').addEventListener('click', (e) => {
+        if (e.target.closest('#import-summary-done')) {
+            navigateTo('view-list');
+            renderStoryList();
+        }
+    });
+
+    // Template files (.md / .txt), chosen or dropped — imported in filename order
+    async function importTemplateFiles(fileList) {
+        const files = [...fileList]
+            .filter(f => /\.(md|markdown|txt)$/i.test(f.name))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        if (files.length === 0) {
+            showToast(t('import.pickFiles'));
+            return;
+        }
+
+        const entries = [];
+        const unreadable = [];
+        for (const file of files) {
+            let text;
+            try {
+                text = await readFileAsText(file);
+            } catch (err) {
+                unreadable.push({ label: file.name, reason: t('import.readError') });
+                continue;
+            }
+            const blocks = splitTemplates(text);
+            blocks.forEach((block, i) => {
+                entries.push({ label: blocks.length > 1 ? `${file.name} #${i + 1}` : file.name, text: block });
+            });
+        }
+        const summary = importTemplates(entries);
+        summary.failed.unshift(...unreadable);
+        showImportSummary(summary);
+    }
+
+    $('template-files').addEventListener('change', (e) => {
+        importTemplateFiles(e.target.files);
+        e.target.value = '';
+    });
+
+    $('add-form').addEventListener('dragover', (e) => {
+        e.preventDefault();
+        $('add-form').classList.add('drag-over');
+    });
+
+    $('add-form').addEventListener('dragleave', (e) => {
+        if (!$('add-form').contains(e.relatedTarget)) $('add-form').classList.remove('drag-over');
+    });
+
+    $('add-form').addEventListener('drop', (e) => {
+        e.preventDefault();
+        $('add-form').classList.remove('drag-over');
+        if (e.dataTransfer.files.length > 0) importTemplateFiles(e.dataTransfer.files);
+    });
+
+    // ================================================================
+    //  SHARE TARGET
+    // ================================================================
+    // Text or a .md file shared from another app is POSTed to the
+    // manifest's share_target. sw.js stores it in SHARE_CACHE and opens
+    // #/share, which lands here. The share only reaches the app once the
+    // service worker controls it; before that the POST goes to the server.
+
+    const SHARE_CACHE = 'story-reader-share';
+    const SHARED_TEMPLATE_URL = './shared-template';
+
+    // Reads and clears the pending share, so a reload doesn't repeat it
+    async function takeSharedText() {
+        if (!('caches' in window)) return '';
+        const cache = await caches.open(SHARE_CACHE);
+        const response = await cache.match(SHARED_TEMPLATE_URL);
+        if (!response) return '';
+        await cache.delete(SHARED_TEMPLATE_URL);
+        return (await response.text()).trim();
+    }
+
+    async function openSharedTemplate() {
+        const text = await takeSharedText().catch(() => '');
+        if (!text) {
+            showToast(t('share.nothing'));
+            return;
+        }
+
+        // A single template whose title is already in the library is most
+        // likely the next chapter; several go through the bulk importer,
+        // which matches titles on its own
+        const parsed = splitTemplates(text).length === 1 ? parseTemplate(text) : null;
+        const story = parsed && findStoryByTitle(parsed.title);
+        const append = !!story && confirm(t('share.appendConfirm', { title: story.title, n: story.chapters.length + 1 }));
+
+        openAddView(append ? story.id : null);
+        $('story-input').value = text;
+        renderAddPreview();
+    }
+
+    // ================================================================
+    //  CHAPTER MANAGER
+    // ================================================================
+
+    let draggedChapterIndex = null;
+
+    function openChapterManager() {
+        const story = stories.find(s => s.id === currentStoryId);
+        if (!story) return;
+
+        $('story-title-input').value = story.title;
+        $('story-collection-input').value = story.collection || '';
+        $('story-tags-input').value = (story.tags || []).join(', ');
+        $('collection-options').innerHTML = getAllCollections()
+            .map(c => `<option value="${escapeHtml(c)}"></option>`).join('');
+        navigateTo('view-chapters');
+        renderChapterManager();
+    }
+
+    function renderChapterManager() {
+        const story = stories.find(s => s.id === currentStoryId);
+        if (!story) return;
+
+        const total = story.chapters.length;
+        $('chapter-manage-list').innerHTML = story.chapters.map((chapter, i) => {
+            const preview = chapter.english.replace(/\*\*/g, '').split('\n')[0].slice(0, 80);
+            return `
+                <li class="chapter-row" data-index="${i}" draggable="true">
+                    <span class="chapter-row-handle" aria-hidden="true">⠿</span>
+                    <div class="chapter-row-body">
+                        <div class="chapter-row-title">Ch. ${i + 1}</div>
+                        <div class="chapter-row-preview">${escapeHtml(preview)}</div>
+                    </div>
+                    <div class="chapter-row-actions">
+                        <button class="icon-btn small" data-action="up" aria-label="${t('chapters.moveUp')}" ${i === 0 ? 'disabled' : ''}>↑</button>
+                        <button class="icon-btn small" data-action="down" aria-label="${t('chapters.moveDown')}" ${i === total - 1 ? 'disabled' : ''}>↓</button>
+                        <button class="icon-btn small" data-action="edit" aria-label="${t('common.edit')}">✏️</button>
+                        <button class="icon-btn small danger" data-action="delete" aria-label="${t('common.delete')}" ${total === 1 ? 'disabled' : ''}>🗑️</button>
+                    </div>
+                </li>`;
+        }).join('');
+    }
+
+    function moveChapter(from, to) {
+        const story = stories.find(s => s.id === currentStoryId);
+        if (!story || from === to || to < 0 || to >= story.chapters.length) return;
+
+        const [chapter] = story.chapters.splice(from, 1);
+        story.chapters.splice(to, 0, chapter);
+        story.updatedAt = Date.now();
+        saveState();
+        renderChapterManager();
+    }
+
+    function deleteChapter(index) {
+        const story = stories.find(s => s.id === currentStoryId);
+        if (!story || story.chapters.length <= 1) return;
+
+        if (confirm(t('chapters.confirmDelete', { n: index + 1 }))) {
+            const [chapter] = story.chapters.splice(index, 1);
+            story.updatedAt = Date.now();
+            saveState();
+            pruneChapterData([chapter.id]);
+            renderChapterManager();
+            showToast(t('chapters.deleted'));
+        }
+    }
+
+    $('chapter-manage-list').addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (!btn) return;
+        const index = parseInt(btn.closest('.chapter-row').dataset.index);
+        const story = stories.find(s => s.id === currentStoryId);
+
+        switch (btn.dataset.action) {
+            case 'up': moveChapter(index, index - 1); break;
+            case 'down': moveChapter(index, index + 1); break;
+            case 'delete': deleteChapter(index); break;
+            case 'edit':
+                if (story) openAddView(story.id, story.chapters[index].id);
+                break;
+        }
+    });
+
+    // Drag to reorder (pointer devices; touch uses the move buttons)
+    $('chapter-manage-list').addEventListener('dragstart', (e) => {
+        const row = e.target.closest('.chapter-row');
+        if (!row) return;
+        draggedChapterIndex = parseInt(row.dataset.index);
+        row.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+    });
+
+    $('chapter-manage-list').addEventListener('dragover', (e) => {
+        if (draggedChapterIndex === null) return;
+        e.preventDefault();
+        document.querySelectorAll('.chapter-row.drop-target').forEach(r => r.classList.remove('drop-target'));
+        const row = e.target.closest('.chapter-row');
+        if (row) row.classList.add('drop-target');
+    });
+
+    $('chapter-manage-list').addEventListener('drop', (e) => {
+        e.preventDefault();
+        const row = e.target.closest('.chapter-row');
+        if (row && draggedChapterIndex !== null) {
+            moveChapter(draggedChapterIndex, parseInt(row.dataset.index));
+        }
+    });
+
+    $('chapter-manage-list').addEventListener('dragend', () => {
+        draggedChapterIndex = null;
+        document.querySelectorAll('.chapter-row').forEach(r => r.classList.remove('dragging', 'drop-target'));
+    });
+
+    // Rename story and edit its collection and tags
+    $('rename-story-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const story = stories.find(s => s.id === currentStoryId);
+        const title = $('story-title-input').value.trim();
+        if (!story || !title) return;
+
+        const collection = $('story-collection-input').value.trim();
+        const tags = parseTags($('story-tags-input').value);
+        const unchanged = title === story.title &&
+            collection === (story.collection || '') &&
+            JSON.stringify(tags) === JSON.stringify(story.tags || []);
+        if (unchanged) return;
+
+        story.title = title;
+        story.tags = tags;
+        if (collection) story.collection = collection;
+        else delete story.collection;
+        story.updatedAt = Date.now();
+        saveState();
+        showToast(t('chapters.infoSaved'));
+    });
+
+    $('chapters-back-btn').addEventListener('click', () => {
+        openReader(currentStoryId);
+    });
+
+    // ================================================================
+    //  SETTINGS VIEW
+    // ================================================================
+
+    $('settings-btn').addEventListener('click', () => navigateTo('view-settings'));
+    $('settings-back-btn').addEventListener('click', () => {
+        navigateTo('view-list');
+        renderStoryList();
+    });
+
+    $('ui-locale').innerHTML = Object.entries(LOCALES)
+        .map(([code, locale]) => `<option value="${code}">${locale.label}</option>`)
+        .join('');
+    $('ui-locale').addEventListener('change', (e) => setLocale(e.target.value));
+
+    // ================================================================
+    //  BACKUP
+    // ================================================================
+    // Backups are versioned. Older formats are upgraded step by step to
+    // BACKUP_VERSION, then every story and chapter is validated before it
+    // is merged into (or replaces) the library.
+
+    const BACKUP_VERSION = '1.2';
+    // Chapter translation languages end up in lang attributes
+    const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[A-Za-z0-9]{1,8})*$/;
+
+    // Upgrade steps, keyed by the version they upgrade from
+    const BACKUP_UPGRADES = {
+        // Unversioned: early exports were a bare array of stories
+        '0': (data) => ({
+            stories: Array.isArray(data) ? data : data.stories,
+            reviews: Array.isArray(data) ? undefined : data.reviews,
+            version: '1.0'
+        }),
+        // 1.1 guarantees ids and timestamps on every story and chapter,
+        // which merging relies on
+        '1.0': (data) => ({
+            ...data,
+            stories: (data.stories || []).map(story => {
+                if (!story || typeof story !== 'object') return story;
+                const createdAt = Number(story.createdAt) || Date.now();
+                return {
+                    ...story,
+                    id: story.id || generateId(),
+                    createdAt,
+                    updatedAt: Number(story.updatedAt) || createdAt,
+                    chapters: Array.isArray(story.chapters) ? story.chapters.map(chapter =>
+                        chapter && typeof chapter === 'object'
+                            ? { ...chapter, id: chapter.id || generateId(), addedAt: Number(chapter.addedAt) || createdAt }
+                            : chapter
+                    ) : story.chapters
+                };
+            }),
+            version: '1.1'
+        }),
+        // 1.2 records each chapter's translation language; older backups
+        // could only hold Japanese translations
+        '1.1': (data) => ({
+            ...data,
+            stories: (data.stories || []).map(story =>
+                story && typeof story === 'object' && Array.isArray(story.chapters) ? {
+                    ...story,
+                    chapters: story.chapters.map(chapter =>
+                        chapter && typeof chapter === 'object' && chapter.translationLang === undefined
+                            ? { ...chapter, translationLang: 'ja' }
+                            : chapter)
+                } : story),
+            version: '1.2'
+        })
+    };
+
+    function upgradeBackup(data) {
+        let version = data && !Array.isArray(data) && data.version ? String(data.version) : '0';
+        while (version !== BACKUP_VERSION) {
+            const upgrade = BACKUP_UPGRADES[version];
+            if (!upgrade) throw new Error(t('backup.unsupported', { version }));
+            data = upgrade(data);
+            version = data.version;
+        }
+        if (!Array.isArray(data.stories)) throw new Error(t('backup.noStories'));
+        return data;
+    }
+
+    function validateChapter(chapter) {
+        if (!chapter || typeof chapter !== 'object') return t('backup.invalid');
+        if (typeof chapter.id !== 'string' || !chapter.id) return t('backup.noId');
+        if (!isRecordId(chapter.id)) return t('backup.badId');
+        if (typeof chapter.english !== 'string' || !chapter.english.trim()) return t('backup.noText');
+        if (!Array.isArray(chapter.vocab)) return t('backup.vocabNotArray');
+        if (chapter.vocab.some(v => !v || typeof v.word !== 'string' || typeof v.meaning !== 'string')) {
+            return t('backup.badVocab');
+        }
+        if (chapter.translation != null && typeof chapter.translation !== 'string') return t('backup.badTranslation');
+        if (chapter.translationLang != null && !LANGUAGE_TAG.test(chapter.translationLang)) return t('backup.badTranslation');
+        return null;
+    }
+
+    // Returns the valid stories (with invalid chapters removed) plus a
+    // list of everything that was rejected and why.
+    function validateBackupStories(rawStories) {
+        const valid = [];
+        const rejected = [];
+
+        rawStories.forEach((story, i) => {
+            const label = story && typeof story.title === 'string' && story.title ? story.title : t('backup.storyLabel', { n: i + 1 });
+            if (!story || typeof story !== 'object' || typeof story.id !== 'string') {
+                rejected.push({ label, reason: t('backup.invalid') });
+                return;
+            }
+            if (!isRecordId(story.id)) {
+                rejected.push({ label, reason: t('backup.badId') });
+                return;
+            }
+            if (typeof story.title !== 'string' || !story.title.trim()) {
+                rejected.push({ label, reason: t('backup.noTitle') });
+                return;
+            }
+            if (!Array.isArray(story.chapters)) {
+                rejected.push({ label, reason: t('backup.chaptersNotArray') });
+                return;
+            }
+
+            const chapters = story.chapters.filter((chapter, j) => {
+                const reason = validateChapter(chapter);
+                if (reason) rejected.push({ label: `${label} / Ch. ${j + 1}`, reason });
+                return !reason;
+            });
+
+            if (chapters.length === 0) {
+                rejected.push({ label, reason: t('backup.noValidChapters') });
+                return;
+            }
+            const cleaned = {
+                ...story,
+                tags: sanitizeTags(story.tags),
+                chapters: chapters.map(c => ({ ...c, translation: c.translation || '', translationLang: c.translationLang || null }))
+            };
+            if (typeof cleaned.collection !== 'string' || !cleaned.collection.trim()) delete cleaned.collection;
+            valid.push(cleaned);
+        });
+
+        return { valid, rejected };
+    }
+
+    function chapterTimestamp(chapter) {
+        return chapter.editedAt || chapter.addedAt || 0;
+    }
+
+    // Picks between two differing versions of a record
+    function resolveConflict(mine, theirs, policy, timestamp) {
+        if (policy === 'mine') return mine;
+        if (policy === 'theirs') return theirs;
+        return timestamp(theirs) > timestamp(mine) ? theirs : mine;
+    }
+
+    // Merges imported stories into the library, matching stories and
+    // chapters by id. Returns counts for the import report.
+    function mergeStories(incoming, policy) {
+        const report = { added: 0, updated: 0, chaptersAdded: 0, conflicts: 0, unchanged: 0 };
+
+        incoming.forEach(theirs => {
+            const index = stories.findIndex(s => s.id === theirs.id);
+            if (index === -1) {
+                stories.push(theirs);
+                report.added++;
+                return;
+            }
+
+            const mine = stories[index];
+            if (JSON.stringify(mine) === JSON.stringify(theirs)) {
+                report.unchanged++;
+                return;
+            }
+
+            // Story metadata (title, tags, …) follows the policy as a whole
+            const base = resolveConflict(mine, theirs, policy, s => s.updatedAt || 0);
+            const theirChapters = new Map(theirs.chapters.map(c => [c.id, c]));
+            const myIds = new Set(mine.chapters.map(c => c.id));
+
+            const chapters = mine.chapters.map(chapter => {
+                const other = theirChapters.get(chapter.id);
+                if (!other || JSON.stringify(other) === JSON.stringify(chapter)) return chapter;
+                report.conflicts++;
+                return resolveConflict(chapter, other, policy, chapterTimestamp);
+            });
+            theirs.chapters.forEach(chapter => {
+                if (!myIds.has(chapter.id)) {
+                    chapters.push(chapter);
+                    report.chaptersAdded++;
+                }
+            });
+
+            stories[index] = {
+                ...base,
+                chapters,
+                updatedAt: Math.max(mine.updatedAt || 0, theirs.updatedAt || 0)
+            };
+            report.updated++;
+        });
+
+        return report;
+    }
+
+    // Keeps cards with a numeric schedule; null when the backup has none
+    function validateReviews(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+        const valid = {};
+        Object.entries(data).forEach(([key, r]) => {
+            if (r && Number.isFinite(r.ease) && Number.isFinite(r.interval) &&
+                Number.isFinite(r.repetitions) && Number.isFinite(r.due)) valid[key] = r;
+        });
+        return valid;
+    }
+
+    function mergeReviews(incoming, policy) {
+        Object.entries(incoming).forEach(([key, theirs]) => {
+            const mine = reviews[key];
+            if (!mine) reviews[key] = theirs;
+            else reviews[key] = resolveConflict(mine, theirs, policy, r => r.lastReviewed || 0);
+        });
+    }
+
+    // Keeps well-formed notebook entries; null when the backup has none
+    function validateNotebook(entries) {
+        if (!Array.isArray(entries)) return null;
+        return entries.filter(w => w && isRecordId(w.id) &&
+            typeof w.word === 'string' && w.word.trim());
+    }
+
+    function mergeNotebook(incoming, policy) {
+        incoming.forEach(theirs => {
+            const index = notebook.findIndex(w => w.id === theirs.id);
+            if (index === -1) notebook.push(theirs);
+            else notebook[index] = resolveConflict(notebook[index], theirs, policy, w => w.updatedAt || 0);
+        });
+    }
+
+    // Keeps highlights whose every field has the type the reader expects
+    function validateHighlights(entries) {
+        if (!Array.isArray(entries)) return null;
+        return entries.filter(h => h && isRecordId(h.id) &&
+            typeof h.storyId === 'string' && typeof h.chapterId === 'string' &&
+            typeof h.quote === 'string' && h.quote &&
+            typeof h.prefix === 'string' && typeof h.suffix === 'string' &&
+            Number.isInteger(h.start) && Number.isInteger(h.end) && h.start >= 0 && h.end > h.start &&
+            HIGHLIGHT_COLORS.includes(h.color) && typeof h.note === 'string' &&
+            typeof h.orphaned === 'boolean' &&
+            Number.isFinite(h.createdAt) && Number.isFinite(h.updatedAt));
+    }
+
+    function mergeHighlights(incoming, policy) {
+        incoming.forEach(theirs => {
+            const index = highlights.findIndex(h => h.id === theirs.id);
+            if (index === -1) highlights.push(theirs);
+            else highlights[index] = resolveConflict(highlights[index], theirs, policy, h => h.updatedAt || 0);
+        });
+    }
+
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Keeps days whose totals are finite numbers and chapters with a
+    // finite reading time; null when the backup has no stats
+    function validateStats(data) {
+        if (!isPlainObject(data) || !isPlainObject(data.days) || !isPlainObject(data.chapters)) return null;
+        const days = {};
+        Object.entries(data.days).forEach(([key, day]) => {
+            if (isPlainObject(day) && ['ms', 'words', 'chapters'].every(field => Number.isFinite(day[field]))) {
+                days[key] = day;
+            }
+        });
+        const chapters = {};
+        Object.entries(data.chapters).forEach(([id, record]) => {
+            if (isPlainObject(record) && typeof record.storyId === 'string' && Number.isFinite(record.ms) &&
+                (record.completedAt === null || Number.isFinite(record.completedAt))) {
+                chapters[id] = record;
+            }
+        });
+        return { days, chapters };
+    }
+
+    // The same day or chapter may come from another device's copy of the
+    // same history, so keep the larger figures rather than adding them up.
+    function mergeStats(incoming) {
+        Object.entries(incoming.days || {}).forEach(([key, theirs]) => {
+            const mine = readingStats.days[key] || { ms: 0, words: 0, chapters: 0 };
+            readingStats.days[key] = {
+                ms: Math.max(mine.ms, theirs.ms || 0),
+                words: Math.max(mine.words, theirs.words || 0),
+                chapters: Math.max(mine.chapters, theirs.chapters || 0)
+            };
+        });
+        Object.entries(incoming.chapters || {}).forEach(([id, theirs]) => {
+            const mine = readingStats.chapters[id];
+            if (!mine) {
+                readingStats.chapters[id] = theirs;
+                return;
+            }
+            mine.ms = Math.max(mine.ms, theirs.ms || 0);
+            mine.completedAt = mine.completedAt || theirs.completedAt || null;
+        });
+    }
+
+    function validateQuizResults(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+        const valid = {};
+        Object.entries(data).forEach(([id, r]) => {
+            if (r && Array.isArray(r.attempts) && Array.isArray(r.missed)) valid[id] = r;
+        });
+        return valid;
+    }
+
+    function mergeQuizResults(incoming, policy) {
+        const lastAttempt = r => r.attempts.length ? r.attempts[r.attempts.length - 1].at : 0;
+        Object.entries(incoming).forEach(([id, theirs]) => {
+            const mine = quizResults[id];
+            quizResults[id] = mine ? resolveConflict(mine, theirs, policy, lastAttempt) : theirs;
+        });
     }
 
-    // Chapter navigation buttons
-    $('prev-chapter').addEventListener('click', () => {
-        if (currentChapterIndex > 0) {
-            currentChapterIndex--;
-            renderChapter();
-        }
+    function renderBackupReport(lines, rejected) {
+        const report = $('backup-report');
+        report.innerHTML = `
+            <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+            ${rejected.length > 0 ? `
+                <h4 class="preview-heading">${t('backup.rejected', { count: rejected.length })}</h4>
+                <ul class="diag-list">${rejected.map(r =>
+                    `<li class="diag-error">${escapeHtml(r.label)}: ${escapeHtml(r.reason)}</li>`).join('')}</ul>` : ''}`;
+        report.classList.remove('hidden');
+    }
+
+    // Backup export
+    $('backup-export-btn').addEventListener('click', () => {
+        const data = {
+            stories: stories.map(story => readingProgress[story.id] ? { ...story, progress: readingProgress[story.id] } : story),
+            reviews: reviews,
+            notebook: notebook,
+            highlights: highlights,
+            stats: readingStats,
+            quizResults: quizResults,
+            display: displaySettings,
+            version: BACKUP_VERSION,
+            exportDate: new Date().toISOString()
+        };
+        downloadFile(
+            JSON.stringify(data, null, 2),
+            `story_reader_backup_${new Date().toISOString().split('T')[0]}.json`,
+            'application/json'
+        );
+        showToast(t('backup.downloaded'));
     });
 
-    $('next-chapter').addEventListener('click', () => {
-        const story = stories.find(s => s.id === currentStoryId);
-        if (story && currentChapterIndex < story.chapters.length - 1) {
-            currentChapterIndex++;
-            renderChapter();
+    // Backup import
+    $('backup-import-btn').addEventListener('click', async () => {
+        const fileInput = $('backup-import-file');
+        const file = fileInput.files[0];
+        if (!file) {
+            alert(t('backup.chooseJson'));
+            return;
         }
-    });
 
-    // Back button
-    $('back-btn').addEventListener('click', () => {
-        navigateTo('view-list');
-        renderStoryList();
-    });
+        let data;
+        try {
+            data = upgradeBackup(JSON.parse(await readFileAsText(file)));
+        } catch (err) {
+            alert(t('backup.readFailed', { error: err.message }));
+            return;
+        }
 
-    // ================================================================
-    //  READER MENU
-    // ================================================================
+        const { valid, rejected } = validateBackupStories(data.stories);
+        if (valid.length === 0) {
+            renderBackupReport([t('backup.nothing')], rejected);
+            return;
+        }
 
-    $('reader-menu-btn').addEventListener('click', (e) => {
-        e.stopPropagation();
-        $('reader-menu').classList.toggle('hidden');
-    });
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
+        const policy = $('import-conflict-policy').value;
+        const importedReviews = validateReviews(data.reviews);
+        const importedWords = validateNotebook(data.notebook);
+        const importedHighlights = validateHighlights(data.highlights);
+        const importedStats = validateStats(data.stats);
+        const importedQuiz = validateQuizResults(data.quizResults);
 
-    // Close menu when clicking elsewhere
-    document.addEventListener('click', (e) => {
-        if (!$('reader-menu').contains(e.target) && e.target !== $('reader-menu-btn')) {
-            $('reader-menu').classList.add('hidden');
+        if (mode === 'replace') {
+            if (!confirm(t('backup.confirmReplace', { count: valid.length }))) return;
+            stories = valid;
+            readingProgress = {};
+            liftStoryProgress(stories);
+            if (importedReviews) reviews = importedReviews;
+            if (importedWords) notebook = importedWords;
+            if (importedHighlights) highlights = importedHighlights;
+            if (importedStats) readingStats = importedStats;
+            if (importedQuiz) quizResults = importedQuiz;
+            if (data.display) setDisplaySettings(data.display);
+            renderBackupReport([t('backup.replaced', { count: valid.length })], rejected);
+        } else {
+            liftStoryProgress(valid);
+            const report = mergeStories(valid, policy);
+            if (importedReviews) mergeReviews(importedReviews, policy);
+            if (importedWords) mergeNotebook(importedWords, policy);
+            if (importedHighlights) mergeHighlights(importedHighlights, policy);
+            if (importedStats) mergeStats(importedStats);
+            if (importedQuiz) mergeQuizResults(importedQuiz, policy);
+            // Display preferences have no timestamp; only "theirs" takes them
+            if (data.display && policy === 'theirs') setDisplaySettings(data.display);
+            renderBackupReport([
+                t('backup.added', { count: report.added }),
+                t('backup.updated', { updated: report.updated, chapters: report.chaptersAdded, conflicts: report.conflicts }),
+                t('backup.unchanged', { count: report.unchanged })
+            ], rejected);
         }
-    });
 
-    // Add chapter button
-    $('add-chapter-btn').addEventListener('click', () => {
-        $('reader-menu').classList.add('hidden');
-        openAddView(currentStoryId);
+        saveState();
+        saveReadingProgressRecord();
+        if (importedReviews) saveReviews();
+        if (importedWords) saveNotebook();
+        if (importedHighlights) saveHighlights();
+        if (importedStats) saveReadingStats();
+        if (importedQuiz) saveQuizResults();
+        renderStoryList();
+        fileInput.value = '';
+        showToast(t('backup.done'));
     });
 
-    // Delete story
-    $('delete-story-btn').addEventListener('click', () => {
-        $('reader-menu').classList.add('hidden');
-        if (confirm('このストーリーを削除しますか？')) {
-            stories = stories.filter(s => s.id !== currentStoryId);
-            saveState();
-            navigateTo('view-list');
-            renderStoryList();
-            showToast('ストーリーを削除しました');
-        }
-    });
+    $('import-mode-merge').addEventListener('change', updateImportOptions);
+    $('import-mode-replace').addEventListener('change', updateImportOptions);
+
+    function updateImportOptions() {
+        $('import-conflict-row').classList.toggle('hidden', !$('import-mode-merge').checked);
+    }
 
     // ================================================================
-    //  BOTTOM SHEETS
+    //  EXPORT (Anki / Markdown / EPUB)
     // ================================================================
+    // Per-story exports live in the reader menu, library-wide ones in
+    // settings. Markdown uses chapterToTemplate so it round-trips through
+    // parseTemplate and the bulk importer.
 
-    const overlay = $('sheet-overlay');
+    function safeFilename(name) {
+        return name.replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 80) || 'story';
+    }
 
-    function openSheet(sheetId) {
-        // Close any open sheet first
-        closeAllSheets();
+    // Quotes a TSV field when it holds a tab, newline or quote
+    function tsvField(value) {
+        const text = String(value == null ? '' : value);
+        return /[\t\n\r"]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
 
-        const sheet = $(sheetId);
-        if (!sheet) return;
+    // Anki notes: word, meaning, source sentence (HTML), story title, tags
+    function buildAnkiTsv(storyList) {
+        const lines = [
+            '#separator:tab',
+            '#html:true',
+            '#columns:Word\tMeaning\tSentence\tStory\tTags',
+            '#tags column:5'
+        ];
+        storyList.forEach(story => {
+            const tags = ['story-reader', ...(story.tags || [])].map(t => t.replace(/\s+/g, '_')).join(' ');
+            story.chapters.forEach(chapter => {
+                (chapter.vocab || []).forEach(v => {
+                    const sentence = escapeHtml(findExampleSentence(chapter.english, v.word))
+                        .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>');
+                    lines.push([v.word, v.meaning, sentence, story.title, tags].map(tsvField).join('\t'));
+                });
+            });
+        });
+        return lines.join('\n') + '\n';
+    }
 
-        overlay.classList.remove('hidden');
-        // Force reflow
-        void overlay.offsetWidth;
-        overlay.classList.add('visible');
+    function buildMarkdown(storyList) {
+        return storyList
+            .flatMap(story => story.chapters.map(chapter => chapterToTemplate(story.title, chapter)))
+            .join('\n\n') + '\n';
+    }
 
-        sheet.classList.add('open');
+    // --- EPUB ---
 
-        // Mark active tab
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.toggle('active', `sheet-${btn.dataset.sheet}` === sheetId);
-        });
+    // markdownToHtml output made well-formed for XHTML
+    function markdownToXhtml(text) {
+        return markdownToHtml(text).replace(/<(br|hr)>/g, '<$1/>');
     }
 
-    function closeAllSheets() {
-        document.querySelectorAll('.bottom-sheet').forEach(s => s.classList.remove('open'));
-        overlay.classList.remove('visible');
-        setTimeout(() => overlay.classList.add('hidden'), 300);
-        document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+    function xhtmlDocument(title, body) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>${escapeXml(title)}</title><link rel="stylesheet" type="text/css" href="style.css"/></head>
+<body>
+${body}
+</body>
+</html>`;
     }
 
-    // Tab buttons
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const sheetId = `sheet-${btn.dataset.sheet}`;
-            const sheet = $(sheetId);
-            if (sheet && sheet.classList.contains('open')) {
-                closeAllSheets();
-            } else {
-                openSheet(sheetId);
-            }
+    function buildEpub(story) {
+        const uid = `urn:story-reader:${story.id}`;
+        const chapterFiles = story.chapters.map((chapter, i) => {
+            const heading = story.chapters.length > 1 ? `Chapter ${i + 1}` : story.title;
+            const vocab = (chapter.vocab || []).map(v =>
+                `<dt>${escapeXml(v.word)}</dt><dd>${escapeXml(v.meaning)}</dd>`).join('\n');
+            const body = `<section epub:type="chapter">
+<h1>${escapeXml(heading)}</h1>
+${markdownToXhtml(chapter.english)}
+</section>
+${vocab ? `<section epub:type="appendix" class="appendix">
+<h2>${escapeXml(t('export.vocab'))}</h2>
+<dl>
+${vocab}
+</dl>
+</section>` : ''}
+${chapter.translation ? `<section epub:type="appendix" class="appendix"${chapter.translationLang ? ` xml:lang="${chapter.translationLang}"` : ''}>
+<h2>${escapeXml(t('export.translation'))}</h2>
+${markdownToXhtml(chapter.translation)}
+</section>` : ''}`;
+            return { name: `chapter-${i + 1}.xhtml`, title: heading, content: xhtmlDocument(heading, body) };
         });
-    });
-
-    // Overlay click to close
-    overlay.addEventListener('click', closeAllSheets);
 
-    // Handle drag on sheet handles
-    document.querySelectorAll('.sheet-handle').forEach(handle => {
-        handle.addEventListener('click', () => {
-            closeAllSheets();
-        });
-    });
+        const nav = xhtmlDocument(story.title, `<nav epub:type="toc" id="toc">
+<h1>${escapeXml(story.title)}</h1>
+<ol>
+${chapterFiles.map(f => `<li><a href="${f.name}">${escapeXml(f.title)}</a></li>`).join('\n')}
+</ol>
+</nav>`);
 
-    // Swipe-down to close bottom sheet
-    let touchStartY = 0;
-    document.querySelectorAll('.bottom-sheet').forEach(sheet => {
-        sheet.addEventListener('touchstart', (e) => {
-            touchStartY = e.touches[0].clientY;
-        }, { passive: true });
+        const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="uid">${escapeXml(uid)}</dc:identifier>
+<dc:title>${escapeXml(story.title)}</dc:title>
+<dc:language>en</dc:language>
+<meta property="dcterms:modified">${new Date(story.updatedAt || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="css" href="style.css" media-type="text/css"/>
+${chapterFiles.map((f, i) => `<item id="ch${i + 1}" href="${f.name}" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine>
+${chapterFiles.map((f, i) => `<itemref idref="ch${i + 1}"/>`).join('\n')}
+</spine>
+</package>`;
 
-        sheet.addEventListener('touchend', (e) => {
-            const touchEndY = e.changedTouches[0].clientY;
-            const diff = touchEndY - touchStartY;
-            if (diff > 80) { // Swiped down
-                closeAllSheets();
-            }
-        }, { passive: true });
-    });
+        const css = `body { font-family: serif; line-height: 1.7; }
+strong { font-weight: bold; }
+.appendix { margin-top: 2em; font-size: 0.9em; }
+dt { font-weight: bold; margin-top: 0.5em; }
+dd { margin-left: 1.5em; }`;
 
-    // ================================================================
-    //  ADD / EDIT VIEW
-    // ================================================================
+        return createZip([
+            // mimetype must come first and be stored uncompressed
+            { name: 'mimetype', content: 'application/epub+zip' },
+            { name: 'META-INF/container.xml', content: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>` },
+            { name: 'OEBPS/content.opf', content: opf },
+            { name: 'OEBPS/nav.xhtml', content: nav },
+            { name: 'OEBPS/style.css', content: css },
+            ...chapterFiles.map(f => ({ name: `OEBPS/${f.name}`, content: f.content }))
+        ]);
+    }
 
-    function openAddView(existingStoryId = null) {
-        addingToStoryId = existingStoryId;
+    // --- Minimal ZIP writer (stored entries, no compression) ---
 
-        if (existingStoryId) {
-            const story = stories.find(s => s.id === existingStoryId);
-            $('add-view-title').textContent = 'チャプターを追加';
-            $('target-story-section').classList.remove('hidden');
-            $('target-story-name').textContent = story ? story.title : '';
-        } else {
-            $('add-view-title').textContent = '新しいストーリー';
-            $('target-story-section').classList.add('hidden');
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
         }
+        return table;
+    })();
 
-        $('story-input').value = '';
-        navigateTo('view-add');
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
     }
 
-    // FAB button
-    $('add-story-fab').addEventListener('click', () => openAddView());
+    function createZip(entries) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
 
-    // Back button from add view
-    $('add-back-btn').addEventListener('click', () => {
-        if (addingToStoryId) {
-            openReader(addingToStoryId);
-        } else {
-            navigateTo('view-list');
-        }
-    });
+        entries.forEach(entry => {
+            const name = encoder.encode(entry.name);
+            const data = encoder.encode(entry.content);
+            const crc = crc32(data);
 
-    // Form submit
-    $('add-form').addEventListener('submit', (e) => {
-        e.preventDefault();
-        const input = $('story-input').value.trim();
-        if (!input) return;
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true);      // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            chunks.push(new Uint8Array(local.buffer), name, data);
 
-        const parsed = parseTemplate(input);
-        if (!parsed) {
-            alert('テンプレートを解析できませんでした。\n\nフォーマット:\n### 1. Title: タイトル\n### 2. English Short Story\n(本文)\n### 3. 重要単語ピックアップ\n* **Word**: 意味\n### 4. 日本語訳\n(翻訳)');
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, dosTime, true);
+            header.setUint16(14, dosDate, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, data.length, true);
+            header.setUint32(24, data.length, true);
+            header.setUint16(28, name.length, true);
+            header.setUint32(42, offset, true);
+            central.push(new Uint8Array(header.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((n, c) => n + c.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/epub+zip' });
+    }
+
+    // --- Export actions ---
+
+    function exportStories(format, storyList, baseName) {
+        if (storyList.length === 0) {
+            showToast(t('export.nothing'));
             return;
         }
+        const date = new Date().toISOString().split('T')[0];
 
-        const chapter = {
-            id: generateId(),
-            english: parsed.english,
-            vocab: parsed.vocab,
-            translation: parsed.translation,
-            addedAt: Date.now()
-        };
+        if (format === 'anki') {
+            downloadFile(buildAnkiTsv(storyList), `${baseName}_anki_${date}.tsv`, 'text/tab-separated-values');
+        } else if (format === 'markdown') {
+            downloadFile(buildMarkdown(storyList), `${baseName}_${date}.md`, 'text/markdown');
+        } else if (format === 'epub') {
+            downloadFile(buildEpub(storyList[0]), `${baseName}.epub`);
+        }
+        showToast(t('export.done'));
+    }
 
-        if (addingToStoryId) {
-            // Add chapter to existing story
-            const story = stories.find(s => s.id === addingToStoryId);
-            if (story) {
-                story.chapters.push(chapter);
-                story.updatedAt = Date.now();
-                saveState();
-                showToast(`チャプター ${story.chapters.length} を追加しました`);
-                // Go to the new chapter
-                currentChapterIndex = story.chapters.length - 1;
-                openReader(addingToStoryId);
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            $('reader-menu').classList.add('hidden');
+            if (btn.dataset.scope === 'story') {
+                const story = stories.find(s => s.id === currentStoryId);
+                if (story) exportStories(btn.dataset.export, [story], safeFilename(story.title));
+            } else {
+                exportStories(btn.dataset.export, stories, 'story_reader_library');
             }
-        } else {
-            // Create new story
-            const story = {
-                id: generateId(),
-                title: parsed.title,
-                chapters: [chapter],
-                createdAt: Date.now(),
-                updatedAt: Date.now()
-            };
-            stories.push(story);
-            saveState();
-            showToast('ストーリーを追加しました！');
-            openReader(story.id);
-        }
+        });
     });
 
     // ================================================================
-    //  SETTINGS VIEW
+    //  UTILITIES
     // ================================================================
 
-    $('settings-btn').addEventListener('click', () => navigateTo('view-settings'));
-    $('settings-back-btn').addEventListener('click', () => {
-        navigateTo('view-list');
-        renderStoryList();
-    });
+    function readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
 
-    // Backup export
-    $('backup-export-btn').addEventListener('click', () => {
-        const data = {
-            stories: stories,
-            version: '1.0',
-            exportDate: new Date().toISOString()
-        };
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    // Text nodes of `container`, leaving out those for which skip(node) is true
+    function textNodes(container, skip = null) {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        let node;
+        while ((node = walker.nextNode())) {
+            if (!skip || !skip(node)) nodes.push(node);
+        }
+        return nodes;
+    }
+
+    // Wraps the text between two textContent offsets of `container` in
+    // elements created by `makeWrapper`, one per text node the range spans.
+    // With `skip`, offsets count only the text nodes it doesn't exclude.
+    function wrapTextRange(container, start, end, makeWrapper, skip = null) {
+        const targets = [];
+        let offset = 0;
+
+        for (const node of textNodes(container, skip)) {
+            const nodeStart = offset;
+            const nodeEnd = offset + node.length;
+            offset = nodeEnd;
+            if (nodeEnd <= start) continue;
+            if (nodeStart >= end) break;
+            targets.push({
+                node,
+                from: Math.max(0, start - nodeStart),
+                to: Math.min(node.length, end - nodeStart)
+            });
+        }
+
+        return targets.map(({ node, from, to }) => {
+            let target = node;
+            if (from > 0) target = target.splitText(from);
+            if (to - from < target.length) target.splitText(to - from);
+            const wrapper = makeWrapper();
+            target.parentNode.insertBefore(wrapper, target);
+            wrapper.appendChild(target);
+            return wrapper;
+        });
+    }
+
+    function downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `story_reader_backup_${new Date().toISOString().split('T')[0]}.json`;
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
-        showToast('バックアップをダウンロードしました');
-    });
-
-    // Backup import
-    $('backup-import-btn').addEventListener('click', () => {
-        const fileInput = $('backup-import-file');
-        const file = fileInput.files[0];
-        if (!file) {
-            alert('JSONファイルを選択してください');
-            return;
-        }
-
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = JSON.parse(e.target.result);
-                if (data.stories && Array.isArray(data.stories)) {
-                    if (confirm(`${data.stories.length} 件のストーリーをインポートします。現在のデータは上書きされます。よろしいですか？`)) {
-                        stories = data.stories;
-                        saveState();
-                        renderStoryList();
-                        navigateTo('view-list');
-                        showToast('インポート完了！');
-                    }
-                } else {
-                    alert('無効なバックアップファイルです');
-                }
-            } catch (err) {
-                alert('ファイルの読み込みに失敗しました: ' + err.message);
-            }
-        };
-        reader.readAsText(file);
-    });
-
-    // ================================================================
-    //  UTILITIES
-    // ================================================================
+    }
 
     function generateId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
     }
 
-    function showToast(message) {
+    // Ids end up in data attributes and selectors; generateId() and
+    // older builds only ever produced these characters
+    function isRecordId(id) {
+        return typeof id === 'string' && /^[\w-]+$/.test(id);
+    }
+
+    // With an `action` ({ label, onClick }) the toast gets a button and
+    // stays up until it is tapped.
+    function showToast(message, action = null) {
         // Remove existing toast
         const existing = document.querySelector('.toast');
         if (existing) existing.remove();
@@ -596,16 +6445,94 @@ document.addEventListener('DOMContentLoaded', () => {
             toast.classList.add('show');
         });
 
+        if (action) {
+            const btn = document.createElement('button');
+            btn.className = 'toast-action';
+            btn.textContent = action.label;
+            btn.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.classList.add('has-action');
+            toast.appendChild(btn);
+            return;
+        }
+
         setTimeout(() => {
             toast.classList.remove('show');
             setTimeout(() => toast.remove(), 400);
         }, 2500);
     }
 
+    // ================================================================
+    //  SERVICE WORKER UPDATES
+    // ================================================================
+    // A new sw.js installs in the background and waits. When one is
+    // waiting we offer a reload; accepting tells it to take over, and the
+    // controllerchange that follows reloads the page onto the new version.
+
+    function promptUpdate(worker) {
+        showToast(t('update.available'), {
+            label: t('update.reload'),
+            onClick: () => worker.postMessage({ type: 'SKIP_WAITING' })
+        });
+    }
+
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // Only reload for an update, not the first install claiming the page
+        const hadController = !!navigator.serviceWorker.controller;
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController || reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    promptUpdate(registration.waiting);
+                }
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', () => {
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            promptUpdate(worker);
+                        }
+                    });
+                });
+
+                // Installed apps can stay open for days; check now and then
+                setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+            })
+            .catch(e => console.log('SW registration failed:', e));
+    }
+
     // ================================================================
     //  INIT
     // ================================================================
 
+    applyLocale();
+    renderSortOptions();
     initTheme();
-    renderStoryList();
+    renderPromptPresets();
+    window.addEventListener('load', registerServiceWorker);
+    loadStories().then(async loaded => {
+        stories = loaded;
+        await loadValues();
+        reviews = storedValue('storyReader_reviews');
+        notebook = storedValue('storyReader_notebook');
+        highlights = storedValue('storyReader_highlights');
+        readingStats = validateStats(storedValue('storyReader_stats')) || { days: {}, chapters: {} };
+        quizResults = storedValue('storyReader_quiz');
+        readingProgress = storedValue('storyReader_progress');
+        if (liftStoryProgress(stories)) {
+            saveState();
+            saveReadingProgressRecord();
+        }
+        renderStoryList();
+        applyRoute();
+    });
 });
@@ -0,0 +1,115 @@
+/* ============================================================
+   Story Reader — Read-Aloud Core
+   ============================================================
+   Sentence segmentation and playback state for the read-aloud player.
+   Nothing here touches the DOM or speechSynthesis: the player drives any
+   engine with speak(text, options, { onEnd, onError }) and cancel(), so
+   it runs in Node with a fake engine (see tests/read-aloud.test.js).
+   Loaded as a classic script before app.js, which reads window.ReadAloud. */
+
+(function (root) {
+    const SENTENCE_PATTERN = /[^.!?]+[.!?]+["'”’)]*|[^.!?]+$/g;
+    // A period after these doesn't end the sentence: titles, and
+    // lower-case initialisms like "e.g." (split at each of its periods)
+    const ABBREVIATION = /(?:\b(?:Mr|Mrs|Ms|Dr|Prof|St|Jr|Sr|vs|etc)|(?:^|[\s(])(?:[a-z]\.)*[a-z])\.$/;
+
+    // [{ start, end }] offsets of each sentence in `text`, trimmed
+    function segmentSentences(text) {
+        const sentences = [];
+        for (const match of text.matchAll(SENTENCE_PATTERN)) {
+            const raw = match[0];
+            const start = match.index + (raw.length - raw.trimStart().length);
+            const end = match.index + raw.trimEnd().length;
+            if (end <= start) continue;
+            const previous = sentences[sentences.length - 1];
+            if (previous && ABBREVIATION.test(text.slice(previous.start, previous.end))) {
+                previous.end = end;
+            } else {
+                sentences.push({ start, end });
+            }
+        }
+        return sentences;
+    }
+
+    // handlers: { onSentence(index), onStateChange(state), onFinish() }
+    // state is 'idle', 'playing' or 'paused'. Pausing cancels the current
+    // utterance and resuming speaks that sentence again, which behaves
+    // the same on every engine (speechSynthesis.pause is unreliable).
+    function createReadAloudPlayer(engine, handlers) {
+        let sentences = [];
+        let index = 0;
+        let state = 'idle';
+        let options = {};
+        let token = 0; // Ends/errors from cancelled utterances are ignored
+
+        function setState(next) {
+            if (state === next) return;
+            state = next;
+            handlers.onStateChange(state);
+        }
+
+        function speakCurrent() {
+            const current = ++token;
+            handlers.onSentence(index);
+            engine.speak(sentences[index].text, options, {
+                onEnd: () => {
+                    if (current !== token || state !== 'playing') return;
+                    if (index < sentences.length - 1) {
+                        index++;
+                        speakCurrent();
+                    } else {
+                        setState('idle');
+                        handlers.onFinish();
+                    }
+                },
+                onError: () => {
+                    if (current === token) setState('idle');
+                }
+            });
+        }
+
+        function halt() {
+            token++;
+            engine.cancel();
+        }
+
+        return {
+            get state() { return state; },
+            get index() { return index; },
+            get length() { return sentences.length; },
+            load(list) {
+                halt();
+                sentences = list;
+                index = 0;
+                setState('idle');
+            },
+            setOptions(next) {
+                options = { ...options, ...next };
+                if (state === 'playing') this.play(index);
+            },
+            play(from = index) {
+                if (sentences.length === 0) return;
+                halt();
+                index = Math.min(sentences.length - 1, Math.max(0, from));
+                setState('playing');
+                speakCurrent();
+            },
+            pause() {
+                if (state !== 'playing') return;
+                halt();
+                setState('paused');
+            },
+            resume() {
+                if (state === 'paused') this.play(index);
+            },
+            stop() {
+                halt();
+                setState('idle');
+            }
+        };
+    }
+
+    const api = { segmentSentences, createReadAloudPlayer };
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.ReadAloud = api;
+})(this);
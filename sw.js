@@ -1,12 +1,134 @@
-const CACHE_NAME = 'story-reader-v1';
-const ASSETS = ['./', './index.html', './style.css', './app.js', './manifest.json'];
+// Bump on every release: the new worker precaches under the new name,
+// waits until the page asks it to take over, then deletes older caches.
+const CACHE_VERSION = 'v5';
+const APP_CACHE = `story-reader-app-${CACHE_VERSION}`;
+const FONT_CACHE = 'story-reader-fonts-v1';
+// Holds a pending Web Share Target payload until the page reads it
+const SHARE_CACHE = 'story-reader-share';
+const SHARED_TEMPLATE_URL = './shared-template';
+const CURRENT_CACHES = [APP_CACHE, FONT_CACHE, SHARE_CACHE];
+
+const ASSETS = ['./', './index.html', './style.css', './read-aloud.js', './app.js', './manifest.json'];
+const FONT_STYLESHEET_HOST = 'fonts.googleapis.com';
+const FONT_FILE_HOST = 'fonts.gstatic.com';
 
 self.addEventListener('install', e => {
-    e.waitUntil(caches.open(CACHE_NAME).then(c => c.addAll(ASSETS)));
+    // Bypass the HTTP cache so a new version never precaches stale files
+    e.waitUntil(
+        caches.open(APP_CACHE).then(c => c.addAll(ASSETS.map(url => new Request(url, { cache: 'reload' }))))
+    );
 });
 
-self.addEventListener('fetch', e => {
-    e.respondWith(
-        caches.match(e.request).then(r => r || fetch(e.request))
+self.addEventListener('activate', e => {
+    e.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('story-reader-') && !CURRENT_CACHES.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
     );
 });
+
+// The page posts this when the user accepts the update toast
+self.addEventListener('message', e => {
+    if (e.data && e.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', e => {
+    const request = e.request;
+    const url = new URL(request.url);
+    if (request.method === 'POST' && url.origin === self.location.origin && url.pathname.endsWith('/share-target')) {
+        e.respondWith(receiveShare(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (url.hostname === FONT_STYLESHEET_HOST) {
+        e.respondWith(staleWhileRevalidate(e, FONT_CACHE, e.request));
+    } else if (url.hostname === FONT_FILE_HOST) {
+        e.respondWith(fontFileResponse(e));
+    } else if (url.origin === self.location.origin) {
+        e.respondWith(appResponse(e));
+    }
+});
+
+// Cache-first from this version's precache, which install fills in one
+// go, so a page never mixes index.html and app.js from different
+// releases. New releases arrive through the update toast.
+async function appResponse(e) {
+    const cache = await caches.open(APP_CACHE);
+    const key = appCacheKey(e.request);
+    const cached = key ? await cache.match(key) : undefined;
+    return cached || fetch(e.request);
+}
+
+// Pages all share the index.html entry and assets are looked up without
+// their query string, so launch URLs such as ?utm_source=… still hit the
+// precache. Anything else goes to the network.
+function appCacheKey(request) {
+    if (request.mode === 'navigate') return './index.html';
+    const { pathname } = new URL(request.url);
+    return ASSETS.find(path => new URL(path, self.registration.scope).pathname === pathname) || null;
+}
+
+// Cross-origin font responses may be opaque (status 0)
+function isCacheable(response) {
+    return response.ok || response.type === 'opaque';
+}
+
+// Answers from the cache at once and refreshes it in the background. The
+// font stylesheet can change (new font file URLs) under the same URL.
+async function staleWhileRevalidate(e, cacheName, key) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+
+    const network = fetch(e.request)
+        .then(response => {
+            if (isCacheable(response)) cache.put(key, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        e.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+// Font files never change under the same URL, so cache-first is enough
+async function fontFileResponse(e) {
+    const cache = await caches.open(FONT_CACHE);
+    const cached = await cache.match(e.request);
+    if (cached) return cached;
+
+    const response = await fetch(e.request);
+    if (isCacheable(response)) cache.put(e.request, response.clone());
+    return response;
+}
+
+// Share target (see manifest.json): shared files come first, then the
+// text field and the shared link, unless the text already contains it;
+// some apps only fill in the title. The page picks the
+// result up from SHARE_CACHE on the #/share route. If anything fails the
+// app still opens there and reports that nothing was shared.
+async function receiveShare(request) {
+    try {
+        const data = await request.formData();
+        const files = data.getAll('file').filter(file => typeof file !== 'string');
+        const text = (data.get('text') || '').trim();
+        const url = (data.get('url') || '').trim();
+        const parts = [...await Promise.all(files.map(file => file.text())), text, text.includes(url) ? '' : url]
+            .map(part => (part || '').trim())
+            .filter(Boolean);
+        if (parts.length === 0 && data.get('title')) parts.push(data.get('title').trim());
+
+        const cache = await caches.open(SHARE_CACHE);
+        await cache.put(SHARED_TEMPLATE_URL, new Response(parts.join('\n\n'), {
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+        }));
+    } catch (err) {
+        // Nothing stored; the page says nothing was shared
+    }
+    // 303 turns the POST into a GET of the app
+    return Response.redirect(new URL('./index.html#/share', self.registration.scope).href, 303);
+}
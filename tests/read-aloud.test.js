@@ -0,0 +1,128 @@
+// Read-aloud core against a fake speech engine.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { segmentSentences, createReadAloudPlayer } = require('../read-aloud.js');
+
+// Records what was spoken; finish() ends the current utterance the way
+// speechSynthesis fires `end`
+function fakeEngine() {
+    const engine = {
+        spoken: [],
+        current: null,
+        speak(text, options, callbacks) {
+            engine.spoken.push({ text, options });
+            engine.current = callbacks;
+        },
+        cancel() {
+            engine.current = null;
+        },
+        finish() {
+            const callbacks = engine.current;
+            engine.current = null;
+            if (callbacks) callbacks.onEnd();
+        },
+        fail() {
+            const callbacks = engine.current;
+            engine.current = null;
+            if (callbacks) callbacks.onError(new Error('synthesis-failed'));
+        }
+    };
+    return engine;
+}
+
+function setup(texts) {
+    const engine = fakeEngine();
+    const events = { sentences: [], states: [], finished: 0 };
+    const player = createReadAloudPlayer(engine, {
+        onSentence: index => events.sentences.push(index),
+        onStateChange: state => events.states.push(state),
+        onFinish: () => events.finished++
+    });
+    player.load(texts.map(text => ({ text })));
+    return { engine, events, player };
+}
+
+const slices = text => segmentSentences(text).map(s => text.slice(s.start, s.end));
+
+test('segments sentences with trimmed offsets', () => {
+    assert.deepEqual(slices('Tom ran.  "Why?" she asked! Then silence'),
+        ['Tom ran.', '"Why?"', 'she asked!', 'Then silence']);
+});
+
+test('keeps abbreviations inside the sentence', () => {
+    assert.deepEqual(slices('Mr. Smith met Dr. Lee. They talked, e.g. about trains.'),
+        ['Mr. Smith met Dr. Lee.', 'They talked, e.g. about trains.']);
+});
+
+test('returns nothing for blank text', () => {
+    assert.deepEqual(segmentSentences('   '), []);
+});
+
+test('plays every sentence in order, then finishes', () => {
+    const { engine, events, player } = setup(['One.', 'Two.', 'Three.']);
+    player.play();
+    engine.finish();
+    engine.finish();
+    engine.finish();
+    assert.deepEqual(engine.spoken.map(s => s.text), ['One.', 'Two.', 'Three.']);
+    assert.deepEqual(events.sentences, [0, 1, 2]);
+    assert.equal(player.state, 'idle');
+    assert.equal(events.finished, 1);
+});
+
+test('pause keeps the position and resume repeats that sentence', () => {
+    const { engine, player } = setup(['One.', 'Two.', 'Three.']);
+    player.play();
+    engine.finish();
+    player.pause();
+    assert.equal(player.state, 'paused');
+    assert.equal(player.index, 1);
+    player.resume();
+    assert.equal(player.state, 'playing');
+    assert.deepEqual(engine.spoken.map(s => s.text), ['One.', 'Two.', 'Two.']);
+});
+
+test('playing from a tapped sentence ignores the cancelled utterance', () => {
+    const { engine, events, player } = setup(['One.', 'Two.', 'Three.']);
+    player.play();
+    const stale = engine.current;
+    player.play(2);
+    stale.onEnd();
+    assert.equal(player.index, 2);
+    assert.deepEqual(events.sentences, [0, 2]);
+});
+
+test('clamps out-of-range positions', () => {
+    const { engine, player } = setup(['One.', 'Two.']);
+    player.play(-1);
+    player.play(5);
+    assert.deepEqual(engine.spoken.map(s => s.text), ['One.', 'Two.']);
+});
+
+test('option changes restart the current sentence with the new options', () => {
+    const { engine, player } = setup(['One.', 'Two.']);
+    player.setOptions({ rate: 1 });
+    player.play();
+    player.setOptions({ rate: 0.75 });
+    assert.deepEqual(engine.spoken.map(s => s.options.rate), [1, 0.75]);
+    assert.equal(player.index, 0);
+});
+
+test('an engine error stops playback without finishing', () => {
+    const { engine, events, player } = setup(['One.', 'Two.']);
+    player.play();
+    engine.fail();
+    assert.equal(player.state, 'idle');
+    assert.equal(events.finished, 0);
+});
+
+test('loading new sentences stops playback and rewinds', () => {
+    const { engine, player } = setup(['One.', 'Two.']);
+    player.play(1);
+    player.load([{ text: 'Next chapter.' }]);
+    assert.equal(player.state, 'idle');
+    assert.equal(player.index, 0);
+    assert.equal(engine.current, null);
+});